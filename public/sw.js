@@ -0,0 +1,102 @@
+// Service worker for the installed dashboard. Field sites often have a weak or no connection,
+// so the app shell is served from cache and the latest telemetry, site status and fleet
+// overview fall back to the last response that made it through. It also shows Web Push alerts
+// while no tab is open.
+
+const SHELL_CACHE = 'sunkalp-shell-v1';
+const API_CACHE = 'sunkalp-api';
+const SHELL = ['/', '/manifest.webmanifest', '/logo.jpeg', '/icon-192.png'];
+
+// Dashboard reads worth keeping for offline use: the fleet overview, site list, feeds, status
+// and generation forecasts. History windows are keyed without their from/to, so only the last window per range
+// is kept; streams and downloads are never cached.
+const CACHED_API = /^\/api\/(fleet|sites(\/[^/]+(\/(feed|status|forecast))?)?)$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then((names) => Promise.all(names
+      .filter((name) => name.startsWith('sunkalp-shell-') && name !== SHELL_CACHE)
+      .map((name) => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+const cacheKey = (url) => {
+  const key = new URL(url);
+  key.searchParams.delete('from');
+  key.searchParams.delete('to');
+  return key.toString();
+};
+
+const networkFirst = async (request, cacheName, key = request.url) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(key);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Hashed build assets never change, so any cached copy is good; fetch and keep the rest
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.pathname.startsWith('/api/')) {
+    if (CACHED_API.test(url.pathname)) event.respondWith(networkFirst(request, API_CACHE, cacheKey(url)));
+    return;
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    return;
+  }
+  if (url.origin === self.location.origin) event.respondWith(cacheFirst(request));
+});
+
+// The dashboard clears cached telemetry on sign-out so the next user of a shared phone cannot read it
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'sign-out') event.waitUntil(caches.delete(API_CACHE));
+});
+
+// Alerts and recoveries pushed by the service ({ title, body, tag, siteId, kind, severity })
+self.addEventListener('push', (event) => {
+  const alert = event.data ? event.data.json() : {};
+  event.waitUntil(self.registration.showNotification(alert.title || 'SUNकल्प', {
+    body: alert.body,
+    tag: alert.tag,
+    renotify: Boolean(alert.tag),
+    requireInteraction: alert.severity === 'critical' && alert.kind !== 'recovery',
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    data: { siteId: alert.siteId },
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+    const open = windows.find((client) => 'focus' in client);
+    return open ? open.focus() : self.clients.openWindow('/');
+  }));
+});
@@ -1,121 +1,601 @@
 import express from 'express';
-import twilio from 'twilio';
-import axios from 'axios';
 import dotenv from 'dotenv';
 import cors from 'cors';
+import { createTelemetrySource } from './server/sources/index.js';
+import { BATTERY_CHANNELS, formatMetric } from './shared/channels.js';
+import { assessSample } from './shared/quality.js';
+import { renderNotification } from './shared/i18n.js';
+import { DEFAULT_LIMITS, evaluateRules } from './shared/rules.js';
+import { readSiteDefinitions, loadAdmins } from './server/sites.js';
+import { createSiteSettings } from './server/settings.js';
+import { createIncidentStore } from './server/incidents.js';
+import { createIncidentRouter } from './server/routes/incidents.js';
+import { createCommandStore } from './server/commands.js';
+import { createCommandRouter } from './server/routes/commands.js';
+import { createCommandChannel } from './server/control/index.js';
+import { createStore } from './server/store.js';
+import { createSiteRouter } from './server/routes/sites.js';
+import { createSettingsRouter } from './server/routes/settings.js';
+import { createExportRouter } from './server/routes/export.js';
+import { createPushRouter } from './server/routes/push.js';
+import { createFleetRouter } from './server/routes/fleet.js';
+import { createPushSubscriptions } from './server/push.js';
+import { createFeedProxy } from './server/feedProxy.js';
+import { createEventHub } from './server/events.js';
+import { toPoint } from './server/history.js';
+import { createAuth } from './server/auth.js';
+import { roleForSite } from './server/access.js';
+import { createChannels, createNotifier } from './server/notifier/index.js';
+import { dueLevel, isQuiet, recipientsForLevel } from './server/escalation.js';
+import { OFFLINE_RULE_ID, offlineAlert } from './server/heartbeat.js';
+import { createAnomalyDetector, relearnFromHistory } from './server/anomaly.js';
+import { createBatteryModel, replayBattery } from './server/battery.js';
+import { createForecaster } from './server/forecast.js';
+import { createWeatherProvider } from './server/weather.js';
+import { expectedFrom } from './shared/baseline.js';
 
 dotenv.config();
 
 const app = express();
-app.use(cors());
+// Exports name their file in Content-Disposition, which the dashboard reads across origins
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 
 const PORT = process.env.PORT || 3000;
 
 // Configuration
 const CONFIG = {
+  auth: {
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    sessionSecret: process.env.SESSION_SECRET,
+    sessionTtl: (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000,
+    admins: loadAdmins(),
+  },
+  proxyCacheTtl: Number(process.env.PROXY_CACHE_TTL) || 10000, // Shared cache for dashboard feeds
+  mapTilesDir: process.env.MAP_TILES_DIR, // Pre-downloaded tiles for the fleet map
   twilio: {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
     fromNumber: process.env.TWILIO_PHONE_NUMBER,
-    toNumber: process.env.TARGET_PHONE_NUMBER,
+    whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER,
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'SUNकल्प Alerts <alerts@localhost>',
+  },
+  webhook: {
+    secret: process.env.WEBHOOK_SECRET,
+  },
+  telegram: {
+    botToken: process.env.TELEGRAM_BOT_TOKEN,
   },
-  thingspeak: {
-    channelId: process.env.THINGSPEAK_CHANNEL_ID,
-    apiKey: process.env.THINGSPEAK_API_KEY,
+  push: {
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT,
   },
-  limits: {
-    voltage: 15,          // High limit
-    lightIntensity: 500,  // Low limit (was Current)
-    temperature: 40,      // High limit
-    humidity: 80,         // High limit
+  // Optional weather forecasts for the generation forecast; without one it runs offline
+  weather: {
+    type: process.env.WEATHER_PROVIDER,
+    url: process.env.WEATHER_PROVIDER_URL || undefined,
   },
-  checkInterval: 60000, // Check every 60 seconds
+  retry: {
+    attempts: Number(process.env.NOTIFY_RETRY_ATTEMPTS) || 3,
+    baseDelay: Number(process.env.NOTIFY_RETRY_DELAY) || 2000, // Doubles after every failed attempt
+  },
+  // Defaults for sites that do not override them
+  limits: DEFAULT_LIMITS,
+  storage: {
+    dir: process.env.DATA_DIR || './data',
+    rawRetentionDays: Number(process.env.RAW_RETENTION_DAYS) || 30,
+    rollupRetentionDays: Number(process.env.ROLLUP_RETENTION_DAYS) || 730,
+    incidentRetentionDays: Number(process.env.INCIDENT_RETENTION_DAYS) || 365,
+    commandRetentionDays: Number(process.env.COMMAND_RETENTION_DAYS) || 365,
+    deliveryRetentionDays: Number(process.env.DELIVERY_RETENTION_DAYS) || 90,
+  },
+  maintenanceInterval: 60 * 60 * 1000, // Downsample and expire history hourly
+  checkInterval: 60000, // Check every 60 seconds unless a site sets its own pollInterval
+  offlineAfter: (Number(process.env.OFFLINE_AFTER_MINUTES) || 10) * 60 * 1000, // Silence before a site counts as offline
   cooldown: 30 * 1000, // 30 seconds in milliseconds
 };
 
-// Initialize Twilio Client
-let client;
-if (CONFIG.twilio.accountSid && CONFIG.twilio.authToken) {
-  client = twilio(CONFIG.twilio.accountSid, CONFIG.twilio.authToken);
-} else {
-  console.warn("Twilio credentials missing. SMS notifications will not work.");
+// Initialize the history store
+const store = createStore(CONFIG.storage);
+await store.init();
+
+// Sites come from SITES_FILE, or a single site built from the env vars above, with any
+// settings admins changed from the dashboard applied on top
+const siteSettings = await createSiteSettings({
+  store,
+  definitions: readSiteDefinitions(),
+  defaults: CONFIG,
+  onChange: (sites) => {
+    CONFIG.sites = sites;
+    for (const monitor of monitors) {
+      const { pollInterval } = monitor.site;
+      monitor.site = sites.find(({ id }) => id === monitor.site.id);
+      if (monitor.site.pollInterval !== pollInterval) reschedule(monitor);
+    }
+  },
+});
+CONFIG.sites = siteSettings.sites();
+
+// Initialize a telemetry source and notification state per site
+const monitors = CONFIG.sites.map((site) => {
+  const { type, ...options } = site.source;
+  return {
+    site,
+    source: createTelemetrySource(type, { ...options, app }),
+    // Command channel back to the controller, for sites that take commands
+    control: site.control ? createCommandChannel(site.control) : null,
+    // Rule engine and data-quality state carried between polls
+    ruleState: {},
+    qualityState: {},
+    // Learned light and power profile, relearned from stored history below
+    anomalies: createAnomalyDetector(),
+    // State of charge and autonomy for sites with a battery, restored below
+    battery: site.battery ? createBatteryModel(site) : null,
+    // Active alerts on the battery's derived metrics, which the dashboard cannot evaluate itself
+    batteryAlerts: [],
+    // State to track last notification times, keyed by incident id
+    lastNotificationTime: {},
+    // Timer for the next poll
+    timer: null,
+    // Timestamp of the newest sample received, restored from the store below
+    lastSeen: null,
+    startedAt: Date.now(),
+  };
+});
+
+const batteryStates = await store.loadBatteryStates();
+for (const monitor of monitors) {
+  const [latest] = await store.latestSamples(monitor.site.id, 1);
+  monitor.lastSeen = latest?.timestamp ?? null;
+  await relearnFromHistory(monitor.anomalies, store, monitor.site);
+  if (monitor.battery) await replayBattery(monitor.battery, store, monitor.site, batteryStates[monitor.site.id]);
 }
 
-// State to track last notification times
-const lastNotificationTime = {
-  lightIntensity: 0,
-  humidity: 0,
+// Live updates for open dashboards, published as the polling loop stores samples and incidents change
+const events = createEventHub();
+
+// Restore incidents from the history store
+
+const incidents = createIncidentStore({
+  initial: await store.loadIncidents(),
+  onChange: (incident) => {
+    store.appendIncident(incident).catch((error) => console.error("Error persisting incident:", error.message));
+    events.publish(incident.siteId, 'incident', incident);
+  },
+});
+
+// An incident still open from before a restart keeps its rule active, so the rule clears it
+// once the metric is back to normal instead of escalating until someone resolves it
+for (const monitor of monitors) {
+  for (const rule of monitor.site.rules) {
+    const live = incidents.findLive(monitor.site.id, rule.id);
+    if (live) monitor.ruleState[rule.id] = { active: true, pendingSince: live.openedAt, since: live.openedAt };
+  }
+}
+
+// Browsers subscribed to Web Push from the dashboard; the push service drops expired ones
+const pushSubscriptions = await createPushSubscriptions({ store });
+
+// Remote commands; each snapshot carries its own history, which is the command audit log
+const commands = createCommandStore({
+  initial: await store.loadCommands(),
+  onChange: (command) => {
+    store.appendCommand(command).catch((error) => console.error("Error persisting command:", error.message));
+    events.publish(command.siteId, 'command', command, 'operator');
+  },
+});
+
+// Notification dispatcher; every delivery attempt ends up in the history store
+const notifier = createNotifier({
+  channels: createChannels({
+    ...CONFIG,
+    push: { ...CONFIG.push, subscriptions: pushSubscriptions, onGone: (endpoint) => pushSubscriptions.remove(endpoint) },
+  }),
+  ...CONFIG.retry,
+  log: (record) => store.appendDelivery(record),
+});
+
+// Subscribed browsers hear about every new alert and its recovery, but not escalations or
+// reminders, and only while their user can still see the site
+const PUSH_KINDS = ['alert', 'recovery'];
+const pushRecipients = (site) => pushSubscriptions.list(site.id)
+  .filter(({ email }) => roleForSite(site, email, CONFIG.auth.admins) !== null)
+  .map(({ endpoint, email, language }) => ({ name: email, language, channels: ['push'], push: endpoint }));
+
+// Helper function to notify recipients of a site (every recipient unless a list is given).
+// Each recipient gets the message rendered in their own language.
+const notifySite = async (site, kind, details, recipients = site.recipients) => {
+  const byLanguage = new Map();
+  for (const recipient of [...recipients, ...(PUSH_KINDS.includes(kind) ? pushRecipients(site) : [])]) {
+    byLanguage.set(recipient.language, [...(byLanguage.get(recipient.language) || []), recipient]);
+  }
+  // With nobody to notify the notifier still reports the dropped message
+  if (byLanguage.size === 0) byLanguage.set(site.language, []);
+
+  await Promise.all([...byLanguage].map(([language, group]) => notifier.notify(group, {
+    siteId: site.id,
+    siteName: site.name,
+    ruleId: details.rule.id,
+    kind,
+    severity: details.alert.severity,
+    ...renderNotification(language, kind, { site, ...details }),
+  })));
 };
 
-// Helper function to send SMS
-const sendSMS = async (message) => {
-  if (!client) {
-    console.log(`[SIMULATION] Sending SMS: "${message}" to ${CONFIG.twilio.toNumber}`);
+// Rule behind an incident, for its translated message; rules removed since fall back to the stored text
+const ruleFor = (site, incident) => site.rules.find((rule) => rule.id === incident.ruleId)
+  || { id: incident.ruleId, message: incident.message };
+
+// Alert details of an incident, as the rule engine reported them
+const alertOf = (incident) => ({
+  severity: incident.severity,
+  metric: incident.metric,
+  value: incident.lastValue,
+  threshold: incident.threshold,
+});
+
+// Everyone reached so far by an incident's escalation chain, resolving on-call shifts at `at`
+const engagedRecipients = (site, incident, at) => {
+  const levels = Array.from({ length: incident.escalationLevel + 1 }, (_, level) => level);
+  return [...new Set(levels.flatMap((level) => recipientsForLevel(site, level, at)))];
+};
+
+// Walk an unacknowledged incident up its site's escalation chain, and remind the people
+// already engaged at most once per cooldown. Acknowledging the incident stops both.
+// Quiet hours hold back the notification entirely; it goes out once they end.
+const escalateIncident = async (monitor, incident, now = Date.now()) => {
+  const { site, lastNotificationTime } = monitor;
+  if (incident.status !== 'open' || isQuiet(site, incident.severity, now)) return;
+
+  // Incidents stored before escalation existed count as already notified at level 0
+  const current = incident.escalationLevel ?? 0;
+  const due = current < 0 ? 0 : dueLevel(site.escalation, incident.notifiedAt ?? incident.openedAt, now);
+
+  if (due > current) {
+    for (let level = current + 1; level <= due; level++) {
+      const escalated = level > 0;
+      if (escalated) console.log(`[${site.name}] Incident ${incident.id} escalated to level ${level}`);
+      await notifySite(site, escalated ? 'escalation' : 'alert', {
+        rule: ruleFor(site, incident),
+        alert: alertOf(incident),
+        at: incident.openedAt,
+        level,
+      }, recipientsForLevel(site, level, now));
+    }
+    incidents.escalate(incident.id, due, now);
+    lastNotificationTime[incident.id] = now;
     return;
   }
 
+  if (now - (lastNotificationTime[incident.id] || 0) > site.cooldown) {
+    await notifySite(site, 'reminder', {
+      rule: ruleFor(site, incident),
+      alert: alertOf(incident),
+      at: incident.openedAt,
+    }, engagedRecipients(site, incident, now));
+    lastNotificationTime[incident.id] = now;
+  }
+};
+
+// Record a command and hand it to the site's command channel. Operators send commands from
+// the control panel; rule actions send them when an alert is raised or clears.
+const sendCommand = async (monitor, name, params, origin) => {
+  const { site, control } = monitor;
+  const command = commands.issue(site.id, name, params, origin);
+  console.log(`[${site.name}] Command ${command.id} (${name}) issued by ${origin.by}`);
+
   try {
-    await client.messages.create({
-      body: message,
-      from: CONFIG.twilio.fromNumber,
-      to: CONFIG.twilio.toNumber,
-    });
-    console.log(`SMS Sent: "${message}"`);
+    const { reference } = await control.send(command);
+    return commands.markSent(command.id, reference).command;
   } catch (error) {
-    console.error("Error sending SMS:", error);
+    console.error(`[${site.name}] Error sending command ${command.id}:`, error.message);
+    return commands.fail(command.id, error.message).command;
+  }
+};
+
+// Commands a site's rule actions run when an alert is raised, or their recovery commands once it clears
+const runActions = async (monitor, incident, recovered = false) => {
+  for (const action of monitor.site.control?.actions || []) {
+    const step = recovered ? action.recovery : action;
+    if (action.rule !== incident.ruleId || !step) continue;
+    await sendCommand(monitor, step.command, step.params, { by: `rule:${action.rule}`, ruleId: action.rule, incidentId: incident.id });
   }
 };
 
-// Function to check sensors
-const checkSensors = async () => {
-  if (!CONFIG.thingspeak.channelId || !CONFIG.thingspeak.apiKey) {
-    console.log("ThingSpeak credentials missing. Skipping check.");
+// A controller's reply to a command, for channels that carry replies (MQTT)
+const receiveAck = (monitor, id, { ok, message }) => {
+  const command = commands.get(id);
+  if (!command || command.siteId !== monitor.site.id) {
+    console.warn(`[${monitor.site.name}] Acknowledgment for unknown command ${id}`);
     return;
   }
+  const { error } = ok ? commands.acknowledge(id, message) : commands.fail(id, message || 'The controller reported a failure');
+  if (!error) console.log(`[${monitor.site.name}] Command ${id} ${ok ? 'acknowledged' : 'failed'} by the controller`);
+};
 
-  try {
-    const url = `https://api.thingspeak.com/channels/${CONFIG.thingspeak.channelId}/feeds.json?api_key=${CONFIG.thingspeak.apiKey}&results=1`;
-    const response = await axios.get(url);
-
-    if (response.data && response.data.feeds && response.data.feeds.length > 0) {
-      const latest = response.data.feeds[0];
-      const now = Date.now();
-
-      // Parse values (ThingSpeak returns strings)
-      const voltage = Number(latest.field1) || 0;
-      const lightIntensity = Number(latest.field2) || 0; // Was Current, now Light Intensity
-      const humidity = Number(latest.field3) || 0; // Was Battery, now Humidity
-      // Field 4 is Load Power, not alerting on it based on requirements
-      const temperature = Number(latest.field5) || 0;
-
-      console.log(`[${new Date().toISOString()}] Telemetry - V: ${voltage}, Light: ${lightIntensity}, Humidity: ${humidity}%, T: ${temperature}°C`);
-
-      // Check Light Intensity (Low Limit) - SMS Alert
-      if (lightIntensity < CONFIG.limits.lightIntensity) {
-        if (now - lastNotificationTime.lightIntensity > CONFIG.cooldown) {
-          const msg = `--- Welcome to SUNकल्प --- ALERT!!! The panel is not receiving sufficient light. Please check for any obstruction around the panel.`;
-          await sendSMS(msg);
-          lastNotificationTime.lightIntensity = now;
+// Ask channels that track delivery themselves (TalkBack) about outstanding commands, and give
+// up on those the controller has not acknowledged in time
+const checkCommands = async (monitor, now = Date.now()) => {
+  const { site, control } = monitor;
+  if (!control) return;
+
+  const outstanding = commands.list({ siteId: site.id }).filter(({ status }) => status === 'pending' || status === 'sent');
+  for (const command of outstanding) {
+    if (command.status === 'sent' && control.check) {
+      try {
+        const { acknowledged, message } = await control.check(command);
+        if (acknowledged) {
+          commands.acknowledge(command.id, message, now);
+          continue;
         }
+      } catch (error) {
+        console.error(`[${site.name}] Error checking command ${command.id}:`, error.message);
       }
+    }
+    if (now - command.issuedAt > site.control.ackTimeout) {
+      commands.expire(command.id, now);
+      console.warn(`[${site.name}] Command ${command.id} (${command.command}) expired without acknowledgment`);
+    }
+  }
+};
+
+// Open an incident for a newly raised alert, run the rule's actions and notify the first escalation level
+const raiseIncident = async (monitor, alert, at) => {
+  const { site } = monitor;
+  const { incident, created } = incidents.open(site.id, alert, at);
+  if (!created) return;
+
+  console.log(`[${site.name}] Incident ${incident.id} opened for ${alert.ruleId}`);
+  await runActions(monitor, incident);
+  if (isQuiet(site, alert.severity, Date.now())) {
+    console.log(`[${site.name}] Quiet hours: holding ${alert.severity} notification for ${alert.ruleId}`);
+  }
+  await escalateIncident(monitor, incident);
+};
+
+// Resolve the live incident of a cleared alert and tell everyone who was notified about it
+const recoverIncident = async (monitor, alert, at) => {
+  const { site, lastNotificationTime } = monitor;
+  const live = incidents.findLive(site.id, alert.ruleId);
+  if (!live) return;
 
-      // Check Humidity (High Limit) - SMS Alert
-      if (humidity > CONFIG.limits.humidity) {
-        if (now - lastNotificationTime.humidity > CONFIG.cooldown) {
-          const msg = `--- Welcome to SUNकल्प --- ALERT!!! The humidity levels are too high. Please check the system environment.`;
-          await sendSMS(msg);
-          lastNotificationTime.humidity = now;
+  incidents.resolve(live.id, 'system', 'Metric returned to normal', at);
+  delete lastNotificationTime[live.id];
+  console.log(`[${site.name}] Incident ${live.id} resolved: ${alert.ruleId} back to normal`);
+  await runActions(monitor, live, true);
+
+  const recipients = engagedRecipients(site, { escalationLevel: live.escalationLevel ?? 0 }, Date.now());
+  if (recipients.length === 0 && pushRecipients(site).length === 0) return;
+
+  await notifySite(site, 'recovery', { rule: ruleFor(site, live), alert, at }, recipients);
+};
+
+// Raise a "device offline" incident once a site has been silent for too long, and resolve it
+// when data arrives again. A site that never reported counts from when the service started.
+const checkHeartbeat = async (monitor, now = Date.now()) => {
+  const { site, lastSeen, startedAt } = monitor;
+  const live = incidents.findLive(site.id, OFFLINE_RULE_ID);
+  const since = lastSeen ?? startedAt;
+
+  if (now - since > site.offlineAfter) {
+    if (!live) {
+      console.warn(`[${site.name}] No data since ${new Date(since).toISOString()}; marking the site offline`);
+      await raiseIncident(monitor, offlineAlert(since), since);
+    }
+  } else if (live && lastSeen !== null) {
+    await recoverIncident(monitor, offlineAlert(lastSeen), lastSeen);
+  }
+};
+
+// Function to check the sensors of one site
+const checkSite = async (monitor) => {
+  const { site, source } = monitor;
+  try {
+    // Sources start again from recent history after a restart; samples already stored were
+    // published, learned from and evaluated before, so only newer ones go any further
+    const samples = (await source.read()).filter(({ timestamp }) => timestamp > (monitor.lastSeen ?? 0));
+
+    if (samples.length > 0) {
+      // Validate before anything else sees the values; rejected readings are stored as null with the reason
+      const records = samples.map((sample) => {
+        const { reading, issues, state } = assessSample(sample, site.channels, monitor.qualityState);
+        monitor.qualityState = state;
+        const { timestamp, ...metrics } = reading;
+        if (Object.keys(issues).length === 0) return { timestamp, metrics, fields: sample.fields };
+
+        // Boards that never send a field would log on every sample, so only rejections are logged
+        const rejected = Object.entries(issues).filter(([, issue]) => issue !== 'missing');
+        if (rejected.length > 0) {
+          const summary = rejected.map(([metric, issue]) => `${metric}: ${issue}`).join(', ');
+          console.warn(`[${new Date(timestamp).toISOString()}] [${site.name}] Data quality - ${summary}`);
+        }
+        return { timestamp, metrics, fields: sample.fields, issues };
+      });
+      const stored = await store.appendSamples(site.id, records);
+      monitor.lastSeen = Math.max(monitor.lastSeen ?? 0, ...stored.map(({ timestamp }) => timestamp));
+      if (stored.length > 0) events.publish(site.id, 'samples', { points: stored.map(toPoint) });
+
+      // Feed every sample through the rules so "sustained for" conditions see the full history
+      for (const { timestamp, metrics } of stored) {
+        const summary = site.channels
+          .map((channel) => {
+            const value = formatMetric(metrics[channel.metric], channel);
+            return `${channel.metric}: ${value === undefined ? '-' : `${value}${channel.unit}`}`;
+          })
+          .join(', ');
+        console.log(`[${new Date(timestamp).toISOString()}] [${site.name}] Telemetry - ${summary}`);
+
+        // Battery sites also get `soc` and `autonomy`, which rules can refer to like any metric
+        const battery = monitor.battery?.update({ timestamp, ...metrics }) ?? {};
+        const evaluation = evaluateRules(site.rules, { timestamp, ...metrics, ...battery }, {
+          limits: site.limits,
+          state: monitor.ruleState,
+          timezone: site.timezone,
+          expected: expectedFrom(monitor.anomalies.profile(), site.timezone),
+        });
+        monitor.ruleState = evaluation.state;
+        monitor.batteryAlerts = evaluation.active.filter((alert) => BATTERY_CHANNELS.some(({ metric }) => metric === alert.metric));
+
+        // Soiling and shading findings take the same path as rule alerts
+        const findings = monitor.anomalies.learn({ timestamp, ...metrics }, site.timezone);
+
+        for (const alert of [...evaluation.raised, ...findings.raised]) {
+          await raiseIncident(monitor, alert, alert.since ?? timestamp);
+        }
+        for (const alert of [...evaluation.cleared, ...findings.cleared]) {
+          await recoverIncident(monitor, alert, timestamp);
+        }
+        // Escalations, reminders and exports report the value the alert has now
+        for (const alert of evaluation.active) {
+          const live = incidents.findLive(site.id, alert.ruleId);
+          if (live && typeof alert.value === 'number') incidents.update(live.id, alert.value, timestamp);
         }
       }
+    }
+
+  } catch (error) {
+    console.error(`[${site.name}] Error reading telemetry from ${source.name}:`, error.message);
+  }
+
+  // A failed read says nothing new about the device, so heartbeat and escalation still run
+  try {
+    await checkHeartbeat(monitor);
+    await checkCommands(monitor);
 
+    // Escalate and remind about incidents nobody has acknowledged yet
+    for (const incident of incidents.list({ siteId: site.id, status: 'open' })) {
+      await escalateIncident(monitor, incident);
     }
   } catch (error) {
-    console.error("Error fetching ThingSpeak data:", error.message);
+    console.error(`[${site.name}] Error checking incidents and commands:`, error.message);
+  }
+};
+
+// Each site polls on its own interval, read again after every poll so settings changes apply live.
+// One failing or slow site does not hold up the others.
+// While a poll runs the timer is null, and the poll arms the next one itself when it is done,
+// whatever happened during it.
+const pollSite = async (monitor) => {
+  monitor.timer = null;
+  try {
+    await checkSite(monitor);
+  } catch (error) {
+    console.error(`[${monitor.site.name}] Error polling site:`, error.message);
+  } finally {
+    monitor.timer = setTimeout(() => pollSite(monitor), monitor.site.pollInterval);
+  }
+};
+
+// Restart the wait for the next poll after a site's interval changed; a poll in progress
+// picks up the new interval when it finishes
+const reschedule = (monitor) => {
+  if (monitor.timer === null) return;
+  clearTimeout(monitor.timer);
+  monitor.timer = setTimeout(() => pollSite(monitor), monitor.site.pollInterval);
+};
+
+// Function to downsample and expire stored history
+const maintainStore = async () => {
+  try {
+    await store.maintain(CONFIG.sites.map((site) => site.id));
+  } catch (error) {
+    console.error("Error maintaining history store:", error.message);
+  }
+  // Battery estimates and cycle counts carry over restarts from here
+  try {
+    await store.saveBatteryStates(Object.fromEntries(monitors
+      .filter(({ battery }) => battery?.snapshot())
+      .map(({ site, battery }) => [site.id, battery.snapshot()])));
+  } catch (error) {
+    console.error("Error saving battery state:", error.message);
   }
 };
 
-// Start the polling loop
-setInterval(checkSensors, CONFIG.checkInterval);
+// Start the maintenance loop; polling starts once the server is listening
+setInterval(maintainStore, CONFIG.maintenanceInterval);
+
+// Dashboard API: Google sign-in is exchanged for a session, which every other request carries
+const auth = createAuth({ ...CONFIG.auth, sites: () => CONFIG.sites });
+app.use('/api/auth', auth.router);
+
+// Site, feed and historical telemetry endpoints
+app.use('/api/sites', auth.requireSession, createSiteRouter({
+  sites: () => CONFIG.sites,
+  store,
+  feedProxy: createFeedProxy({ store, ttl: CONFIG.proxyCacheTtl }),
+  events,
+  lastSeen: (siteId) => monitors.find(({ site }) => site.id === siteId)?.lastSeen ?? null,
+  anomalies: (siteId) => monitors.find(({ site }) => site.id === siteId)?.anomalies,
+  forecaster: createForecaster({ store, weather: createWeatherProvider(CONFIG.weather) }),
+  battery: (siteId) => {
+    const monitor = monitors.find(({ site }) => site.id === siteId);
+    return monitor?.battery ? { estimate: monitor.battery.current(), alerts: monitor.batteryAlerts } : null;
+  },
+  requireSiteRole: auth.requireSiteRole,
+}));
+
+// Status, alerts and today's energy of every site, for the fleet map
+app.use('/api/fleet', auth.requireSession, createFleetRouter({
+  sites: () => CONFIG.sites,
+  store,
+  incidents,
+  lastSeen: (siteId) => monitors.find(({ site }) => site.id === siteId)?.lastSeen ?? null,
+}));
+
+// Offline map tiles for the fleet view, laid out as <z>/<x>/<y>.png
+if (CONFIG.mapTilesDir) {
+  app.use('/tiles', express.static(CONFIG.mapTilesDir, { maxAge: '30d', fallthrough: false }));
+}
+
+// Admin settings and their audit trail
+app.use('/api/sites', auth.requireSession, createSettingsRouter({
+  sites: () => CONFIG.sites,
+  settings: siteSettings,
+  store,
+  requireSiteRole: auth.requireSiteRole,
+}));
+
+// CSV and Excel downloads of telemetry and alert history
+app.use('/api/sites', auth.requireSession, createExportRouter({
+  sites: () => CONFIG.sites,
+  store,
+  incidents,
+}));
+
+// Web Push subscriptions for the installed dashboard
+app.use('/api/sites', auth.requireSession, createPushRouter({
+  sites: () => CONFIG.sites,
+  subscriptions: pushSubscriptions,
+  publicKey: CONFIG.push.publicKey,
+}));
+
+// Remote commands to site controllers and their log
+app.use('/api/sites', auth.requireSession, createCommandRouter({
+  sites: () => CONFIG.sites,
+  commands,
+  send: (site, name, params, origin) => sendCommand(monitors.find((monitor) => monitor.site.id === site.id), name, params, origin),
+  requireSiteRole: auth.requireSiteRole,
+}));
+
+// Incident endpoints. A manual resolve resets the rule, so it fires again if the problem persists
+app.use('/api/incidents', auth.requireSession, createIncidentRouter({
+  incidents,
+  sites: () => CONFIG.sites,
+  onResolved: (incident) => {
+    const monitor = monitors.find(({ site }) => site.id === incident.siteId);
+    if (!monitor) return;
+    delete monitor.ruleState[incident.ruleId];
+    delete monitor.lastNotificationTime[incident.id];
+    monitor.anomalies.reset(incident.ruleId);
+  },
+}));
 
 // Health check endpoint (for Render / Uptime monitors)
 app.get('/', (req, res) => {
@@ -123,8 +603,22 @@ app.get('/', (req, res) => {
 });
 
 // Start Express server
-app.listen(PORT, '0.0.0.0', () => {
+app.listen(PORT, '0.0.0.0', async () => {
   console.log(`Server is running on port ${PORT}`);
-  // Run an immediate check on startup
-  checkSensors();
-});;
+  for (const monitor of monitors) {
+    const { site, source, control } = monitor;
+    try {
+      await source.start();
+    } catch (error) {
+      console.error(`[${site.name}] Error starting telemetry source ${source.name}:`, error.message);
+    }
+    try {
+      await control?.start((id, reply) => receiveAck(monitor, id, reply));
+    } catch (error) {
+      console.error(`[${site.name}] Error starting command channel ${control.name}:`, error.message);
+    }
+  }
+  // Run an immediate check and maintenance pass on startup, then keep polling
+  monitors.forEach(pollSite);
+  maintainStore();
+});
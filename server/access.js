@@ -0,0 +1,32 @@
+// Role-based access per site. Roles are ordered: each one includes the ones before it.
+//   viewer   - read telemetry, history and incidents
+//   operator - also acknowledge and resolve incidents and send remote commands
+//   admin    - also edit thresholds and site settings
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const normalizeList = (list) => (Array.isArray(list) ? list : [])
+  .map((item) => String(item).trim().toLowerCase())
+  .filter(Boolean);
+
+// Site access block: { domains, viewers, operators, admins }
+export const normalizeAccess = (access = {}) => ({
+  domains: normalizeList(access.domains).map((domain) => domain.replace(/^@/, '')),
+  viewers: normalizeList(access.viewers),
+  operators: normalizeList(access.operators),
+  admins: normalizeList(access.admins),
+});
+
+// Highest role an email holds on a site, or null when it has no access.
+// `globalAdmins` are admins of every site.
+export const roleForSite = (site, email, globalAdmins = []) => {
+  const address = String(email || '').toLowerCase();
+  const domain = address.split('@')[1];
+  const { access } = site;
+
+  if (globalAdmins.includes(address) || access.admins.includes(address)) return 'admin';
+  if (access.operators.includes(address)) return 'operator';
+  if (access.viewers.includes(address) || access.domains.includes(domain)) return 'viewer';
+  return null;
+};
+
+export const hasRole = (role, required) => role !== null && ROLES.indexOf(role) >= ROLES.indexOf(required);
@@ -0,0 +1,228 @@
+import { DAY } from './store.js';
+import { SLOTS_PER_DAY, SLOT_MINUTES, localSlot } from '../shared/baseline.js';
+
+// Learns how much light and power a site normally sees in each half hour of the day and
+// reports deviations that point at a fault rather than the weather:
+//
+//   soiling  power well below what the light level normally yields, for an hour or more.
+//            A dirty panel or a bad connection; clouds lower light and power together.
+//   shading  the same half hour dips on several clear days in a row while the hours around
+//            it are normal. Something new (a tree, a building, a water tank) casts a shadow.
+//
+// The profile for a half hour is the best level reached there over the last HISTORY_DAYS,
+// so it follows the season and ignores cloudy days. Findings are shaped like rule alerts
+// and go through the same incident path.
+
+export const ANOMALY_RULE_IDS = ['soiling', 'shading'];
+
+const HISTORY_DAYS = 30;
+// Days a half hour must have been seen before it has a profile
+const MIN_DAYS = 3;
+// Light at least this share of the profile counts as good light for judging power
+const GOOD_LIGHT = 0.5;
+// Power per lux below this share of the usual yield counts as a drop; back above RECOVERED clears it
+const YIELD_DROP = 0.7;
+const YIELD_RECOVERED = 0.85;
+// Half hours in a row with a yield drop before soiling is reported
+const SOILING_SLOTS = 2;
+// A half hour below DIP of its profile while its neighbours are above CLEAR is a shading dip
+const DIP = 0.5;
+const CLEAR = 0.8;
+const SHADING_DAYS = 3;
+// Ignore half hours whose profile is below this share of the day's brightest (dawn and dusk)
+const MIN_DAYLIGHT = 0.1;
+
+const MESSAGES = {
+  soiling: 'Power output is low for the available light. The panel may be dirty or a connection may be faulty; please clean the panel and check the wiring.',
+  shading: 'The light drops at the same time on several clear days while the rest of the day is normal. Something new may be shading the panel; please check around it.',
+};
+
+const finding = (ruleId, metric, value, threshold, since) => ({
+  ruleId,
+  severity: 'warning',
+  message: MESSAGES[ruleId],
+  metric,
+  value,
+  threshold,
+  since,
+});
+
+const mean = (total) => (total.n > 0 ? total.sum / total.n : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const emptyDay = () => Array.from({ length: SLOTS_PER_DAY }, () => ({
+  lightIntensity: { sum: 0, n: 0 },
+  loadPower: { sum: 0, n: 0 },
+}));
+
+// One detector per site. Feed it every reading, oldest first, with learn(); it returns the
+// findings raised and cleared as each half hour completes.
+export const createAnomalyDetector = () => {
+  const days = new Map(); // day key -> per-slot sums, for the last HISTORY_DAYS
+  const dayStarts = new Map(); // day key -> its local midnight
+  const dips = new Array(SLOTS_PER_DAY).fill(0); // clear days in a row each slot dipped
+  const active = new Map(); // ruleId -> finding
+  let current = null; // { day, slot, timestamp } of the half hour being filled
+  let profile = { lightIntensity: new Array(SLOTS_PER_DAY).fill(null), loadPower: new Array(SLOTS_PER_DAY).fill(null) };
+  let usualYield = null; // power per lux on good-light half hours
+  let lowYieldSlots = 0;
+
+  const slotMeans = (day, slot) => {
+    const totals = days.get(day)?.[slot];
+    return totals ? { light: mean(totals.lightIntensity), power: mean(totals.loadPower) } : { light: null, power: null };
+  };
+
+  // Best half-hour level over every day but `exclude`, once seen on MIN_DAYS days
+  const relearn = (exclude) => {
+    const next = { lightIntensity: [], loadPower: [] };
+    const yields = [];
+    for (let slot = 0; slot < SLOTS_PER_DAY; slot++) {
+      for (const metric of ['lightIntensity', 'loadPower']) {
+        const levels = [...days.entries()]
+          .filter(([day]) => day !== exclude)
+          .map(([, totals]) => mean(totals[slot][metric]))
+          .filter((value) => value !== null);
+        next[metric][slot] = levels.length >= MIN_DAYS ? Math.max(...levels) : null;
+      }
+    }
+    for (const [day, totals] of days) {
+      if (day === exclude) continue;
+      totals.forEach((slotTotals, slot) => {
+        const light = mean(slotTotals.lightIntensity);
+        const power = mean(slotTotals.loadPower);
+        if (light > 0 && power !== null && next.lightIntensity[slot] !== null && light >= GOOD_LIGHT * next.lightIntensity[slot]) {
+          yields.push(power / light);
+        }
+      });
+    }
+    profile = next;
+    usualYield = median(yields);
+  };
+
+  const raise = (result, alert) => {
+    if (active.has(alert.ruleId)) return;
+    active.set(alert.ruleId, alert);
+    result.raised.push(alert);
+  };
+
+  const clear = (result, ruleId, latest = {}) => {
+    if (!active.has(ruleId)) return;
+    const alert = { ...active.get(ruleId), ...latest };
+    active.delete(ruleId);
+    result.cleared.push(alert);
+  };
+
+  // A completed half hour: does power keep up with the light?
+  const checkYield = ({ day, slot, timestamp }, result) => {
+    const { light, power } = slotMeans(day, slot);
+    const expectedLight = profile.lightIntensity[slot];
+    if (usualYield === null || expectedLight === null || light === null || power === null) return;
+    if (light <= 0 || light < GOOD_LIGHT * expectedLight) return;
+
+    const expectedPower = usualYield * light;
+    if (power < YIELD_DROP * expectedPower) {
+      lowYieldSlots += 1;
+      if (lowYieldSlots >= SOILING_SLOTS) {
+        raise(result, finding('soiling', 'loadPower', power, expectedPower, timestamp - (SOILING_SLOTS - 1) * SLOT_MINUTES * 60 * 1000));
+      }
+    } else if (power >= YIELD_RECOVERED * expectedPower) {
+      lowYieldSlots = 0;
+      clear(result, 'soiling', { value: power, threshold: expectedPower });
+    }
+  };
+
+  // A completed day: which half hours dipped while the ones around them were clear?
+  const checkShading = (day, result) => {
+    const clearness = profile.lightIntensity.map((expected, slot) => {
+      const { light } = slotMeans(day, slot);
+      return expected > 0 && light !== null ? light / expected : null;
+    });
+    const brightest = Math.max(0, ...profile.lightIntensity.filter((value) => value !== null));
+    let worst = null;
+
+    clearness.forEach((share, slot) => {
+      if (share === null || profile.lightIntensity[slot] < MIN_DAYLIGHT * brightest) return;
+      const around = [slot - 2, slot - 1, slot + 1, slot + 2].map((index) => clearness[index]).filter((value) => value !== undefined && value !== null);
+      // A cloudy day says nothing about shading, so the count neither grows nor resets
+      if (around.length < 2 || median(around) < CLEAR) return;
+
+      dips[slot] = share < DIP ? dips[slot] + 1 : 0;
+      if (dips[slot] >= SHADING_DAYS && (worst === null || share < clearness[worst])) worst = slot;
+    });
+
+    if (worst !== null) {
+      const at = dayStarts.get(day) + worst * SLOT_MINUTES * 60 * 1000;
+      raise(result, finding('shading', 'lightIntensity', slotMeans(day, worst).light, profile.lightIntensity[worst], at));
+    } else if (dips.every((count) => count < SHADING_DAYS)) {
+      clear(result, 'shading');
+    }
+  };
+
+  return {
+    // Add one reading ({ timestamp, <metric>: value | null }); returns { raised, cleared }
+    learn(reading, timezone) {
+      const result = { raised: [], cleared: [] };
+      const { day, slot, minutes } = localSlot(reading.timestamp, timezone);
+
+      if (current && (current.day !== day || current.slot !== slot)) {
+        checkYield(current, result);
+        if (current.day !== day) {
+          checkShading(current.day, result);
+          for (const key of days.keys()) {
+            if (Date.parse(key) < Date.parse(day) - HISTORY_DAYS * DAY) {
+              days.delete(key);
+              dayStarts.delete(key);
+            }
+          }
+        }
+        // Today's readings are judged against the other days, never against themselves
+        relearn(day);
+      }
+      if (!current || current.day !== day || current.slot !== slot) current = { day, slot, timestamp: reading.timestamp };
+
+      if (!days.has(day)) {
+        days.set(day, emptyDay());
+        dayStarts.set(day, Math.floor(reading.timestamp / 60000) * 60000 - minutes * 60 * 1000);
+      }
+      for (const metric of ['lightIntensity', 'loadPower']) {
+        const value = reading[metric];
+        if (typeof value !== 'number') continue;
+        days.get(day)[slot][metric].sum += value;
+        days.get(day)[slot][metric].n += 1;
+      }
+      return result;
+    },
+
+    profile: () => profile,
+
+    findings: () => [...active.values()],
+
+    // Forget a finding (e.g. its incident was resolved by hand) so it can be raised again
+    reset(ruleId) {
+      active.delete(ruleId);
+      if (ruleId === 'soiling') lowYieldSlots = 0;
+      if (ruleId === 'shading') dips.fill(0);
+    },
+  };
+};
+
+// Replay a site's recent history into a fresh detector so its profile and any ongoing
+// findings survive a restart. Incidents are restored separately, so nothing is raised.
+export const relearnFromHistory = async (detector, store, site, now = Date.now()) => {
+  const from = now - HISTORY_DAYS * DAY;
+  const [samples, rollups] = await Promise.all([store.readSamples(site.id, from, now), store.readRollups(site.id, from, now)]);
+  const readings = [
+    ...rollups.map(({ timestamp, metrics }) => ({
+      timestamp,
+      ...Object.fromEntries(Object.entries(metrics).map(([metric, { avg }]) => [metric, avg])),
+    })),
+    ...samples.map(({ timestamp, metrics }) => ({ timestamp, ...metrics })),
+  ].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const reading of readings) detector.learn(reading, site.timezone);
+};
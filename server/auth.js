@@ -0,0 +1,116 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { OAuth2Client } from 'google-auth-library';
+import { hasRole, roleForSite } from './access.js';
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// Sessions are stateless HMAC-signed tokens: base64url(payload).signature
+const signSession = (payload, secret) => {
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+};
+
+const verifySession = (token, secret) => {
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  return payload.exp > Date.now() ? payload : null;
+};
+
+// Google sign-in exchange, session verification and role checks for the dashboard API.
+// Roles are resolved against the current site configuration on every request.
+export const createAuth = ({ clientId, sessionSecret, sessionTtl, admins, sites }) => {
+  const client = clientId ? new OAuth2Client(clientId) : undefined;
+  if (!client) {
+    console.warn("GOOGLE_CLIENT_ID missing. Dashboard sign-in will be rejected.");
+  }
+
+  let secret = sessionSecret;
+  if (!secret) {
+    console.warn("SESSION_SECRET missing. Using a random secret; sessions will not survive a restart.");
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const roleFor = (site, email) => roleForSite(site, email, admins);
+  const visibleSites = (email) => sites().filter((site) => roleFor(site, email) !== null);
+
+  // POST /api/auth/google { credential } -> { token, expiresAt, user }
+  const router = express.Router();
+  router.post('/google', express.json(), async (req, res) => {
+    if (!client) {
+      return res.status(503).json({ error: 'Sign-in verification is not configured on the server' });
+    }
+
+    const { credential } = req.body || {};
+    if (!credential) {
+      return res.status(400).json({ error: 'Missing Google credential' });
+    }
+
+    let payload;
+    try {
+      const ticket = await client.verifyIdToken({ idToken: credential, audience: clientId });
+      payload = ticket.getPayload();
+    } catch (error) {
+      return res.status(401).json({ error: `Invalid Google sign-in token: ${error.message}` });
+    }
+
+    if (!payload.email_verified) {
+      return res.status(401).json({ error: 'Google account email is not verified' });
+    }
+    if (visibleSites(payload.email).length === 0) {
+      return res.status(403).json({ error: `${payload.email} does not have access to any site` });
+    }
+
+    const user = { email: payload.email, name: payload.name, picture: payload.picture };
+    const expiresAt = Date.now() + sessionTtl;
+    res.json({ token: signSession({ ...user, exp: expiresAt }, secret), expiresAt, user });
+  });
+
+  // EventSource cannot set headers, so event streams may pass the session as ?token=
+  const tokenOf = (req) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) return token;
+    return (req.get('accept') || '').includes('text/event-stream') ? req.query.token : undefined;
+  };
+
+  // Reject requests without a valid session; exposes req.user and req.roleFor(site)
+  const requireSession = (req, res, next) => {
+    const token = tokenOf(req);
+    const session = token ? verifySession(token, secret) : null;
+    if (!session) {
+      return res.status(401).json({ error: 'Session missing or expired; please sign in again' });
+    }
+
+    const { exp, ...user } = session;
+    req.user = user;
+    req.sessionExpiresAt = exp;
+    req.roleFor = (site) => roleFor(site, user.email);
+    next();
+  };
+
+  // Require at least `role` on the site resolved into req.site
+  const requireSiteRole = (role) => (req, res, next) => {
+    if (!hasRole(req.roleFor(req.site), role)) {
+      return res.status(403).json({ error: `Requires the ${role} role on ${req.site.name}` });
+    }
+    next();
+  };
+
+  router.get('/me', requireSession, (req, res) => {
+    res.json({
+      user: req.user,
+      expiresAt: req.sessionExpiresAt,
+      sites: visibleSites(req.user.email).map((site) => ({ id: site.id, role: req.roleFor(site) })),
+    });
+  });
+
+  return { router, requireSession, requireSiteRole, visibleSites };
+};
@@ -0,0 +1,181 @@
+import { DAY, HOUR } from './store.js';
+import { POWER_UNITS } from './energy.js';
+
+// Battery bank model. Sites with a battery describe it in an optional `battery` block:
+//
+//   capacity   rated capacity in Ah
+//   voltage    nominal bank voltage in V (12, 24 or 48); the `voltage` channel measures it
+//   chemistry  leadAcid or lithium (LiFePO4); picks the voltage curve and the reserve
+//   minSoc     share of the charge kept in reserve (0-1); autonomy counts down to it
+//   curve      optional [[volts, soc], ...] for the whole bank at rest, replacing the default
+//
+// State of charge comes from two estimates. Coulomb counting takes away the charge the load
+// draws (loadPower / voltage) between samples; it follows the load closely but drifts, and
+// the sensor board does not measure the charging current at all. The voltage curve is noisy
+// under load but never drifts, so the counted value is pulled towards it with a time
+// constant of VOLTAGE_TRUST; sun charging the bank shows up through the voltage that way.
+//
+// Cycles are equivalent full cycles: all the charge ever drawn divided by the capacity, so
+// two half discharges count as one. Autonomy is how many hours the usable charge (down to
+// minSoc) lasts at the current load.
+
+export const CHEMISTRIES = {
+  // Resting voltage of a 12 V bank against state of charge; other banks scale with `voltage`
+  leadAcid: {
+    minSoc: 0.5,
+    curve: [[10.5, 0], [11.31, 0.1], [11.58, 0.2], [11.75, 0.3], [11.9, 0.4], [12.06, 0.5], [12.2, 0.6], [12.32, 0.7], [12.42, 0.8], [12.5, 0.9], [12.7, 1]],
+  },
+  lithium: {
+    minSoc: 0.2,
+    curve: [[10, 0], [12, 0.09], [12.6, 0.14], [12.8, 0.17], [12.9, 0.2], [13, 0.3], [13.1, 0.4], [13.2, 0.7], [13.3, 0.9], [13.4, 0.99], [13.6, 1]],
+  },
+};
+
+// Longest gap coulomb counting bridges; after that the estimate starts again from the voltage
+const MAX_GAP = 6 * HOUR;
+const VOLTAGE_TRUST = HOUR;
+// How far the charge must move against its current direction before charging or discharging
+// is reported, so sensor noise does not flip it on every sample
+const TURN = 0.03;
+// Autonomy reported with no load, or when the charge would last longer than this (hours)
+export const MAX_AUTONOMY = 7 * 24;
+// Where the model starts when a site has no saved state
+const REPLAY_SPAN = DAY;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const checkNumber = (value, name, { min = 0, max = Infinity } = {}) => {
+  const number = Number(value);
+  if (isBlank(value) || !Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`battery.${name} must be a number from ${min} to ${max}, got ${JSON.stringify(value)}`);
+  }
+  return number;
+};
+
+const checkCurve = (curve) => {
+  const valid = Array.isArray(curve) && curve.length >= 2 && curve.every((point, index) => Array.isArray(point)
+    && point.length === 2 && point.every(Number.isFinite) && point[1] >= 0 && point[1] <= 1
+    && (index === 0 || (point[0] > curve[index - 1][0] && point[1] >= curve[index - 1][1])));
+  if (!valid) {
+    throw new Error('battery.curve must list at least two [volts, soc] points, volts rising and soc from 0 to 1');
+  }
+  return curve;
+};
+
+// Sites without a battery (no capacity) get null; values from the environment arrive as strings
+export const normalizeBattery = (battery) => {
+  if (!battery || isBlank(battery.capacity)) return null;
+  const chemistry = battery.chemistry || 'leadAcid';
+  if (!CHEMISTRIES[chemistry]) {
+    throw new Error(`Unknown battery.chemistry "${chemistry}". Expected one of: ${Object.keys(CHEMISTRIES).join(', ')}`);
+  }
+
+  const voltage = isBlank(battery.voltage) ? 12 : checkNumber(battery.voltage, 'voltage', { min: 1 });
+  const scale = voltage / 12;
+  return {
+    capacity: checkNumber(battery.capacity, 'capacity', { min: 1 }),
+    voltage,
+    chemistry,
+    minSoc: isBlank(battery.minSoc) ? CHEMISTRIES[chemistry].minSoc : checkNumber(battery.minSoc, 'minSoc', { max: 0.95 }),
+    curve: battery.curve
+      ? checkCurve(battery.curve)
+      : CHEMISTRIES[chemistry].curve.map(([volts, soc]) => [Number((volts * scale).toFixed(3)), soc]),
+  };
+};
+
+// State of charge (0-1) the curve gives for a bank voltage, interpolated between points
+export const socFromVoltage = (curve, volts) => {
+  if (volts <= curve[0][0]) return curve[0][1];
+  const upper = curve.findIndex(([point]) => point >= volts);
+  if (upper === -1) return curve[curve.length - 1][1];
+  const [v0, s0] = curve[upper - 1];
+  const [v1, s1] = curve[upper];
+  return s0 + ((volts - v0) / (v1 - v0)) * (s1 - s0);
+};
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// One model per site with a battery. Feed it every reading, oldest first, with update(); it
+// returns the derived metrics the alert rules can use: `soc` (%) and `autonomy` (hours).
+// `site` supplies the battery block and the unit of the power channel.
+export const createBatteryModel = (site) => {
+  const power = site.channels.find((channel) => channel.metric === 'loadPower');
+  const toWatts = POWER_UNITS[power?.unit] ?? 1;
+  // { timestamp, soc, watts, discharged, phase, turn } - discharged is in multiples of the
+  // capacity, turn is the charge at the last turning point
+  let state = null;
+
+  const autonomyOf = (soc, watts) => {
+    const { capacity, voltage, minSoc } = site.battery;
+    if (!(watts > 0)) return MAX_AUTONOMY;
+    return Math.min(MAX_AUTONOMY, (Math.max(0, soc - minSoc) * capacity * voltage) / watts);
+  };
+
+  const nextPhase = (soc) => {
+    const { phase, turn } = state;
+    if (phase !== 'discharging' && soc < turn - TURN) return { phase: 'discharging', turn: soc };
+    if (phase !== 'charging' && soc > turn + TURN) return { phase: 'charging', turn: soc };
+    // Within a phase the turning point follows the charge, so a reversal is measured from the peak
+    if (phase === 'discharging') return { phase, turn: Math.min(turn, soc) };
+    if (phase === 'charging') return { phase, turn: Math.max(turn, soc) };
+    return { phase, turn };
+  };
+
+  return {
+    update({ timestamp, voltage, loadPower }) {
+      if (typeof voltage !== 'number') return {};
+      const { capacity, curve } = site.battery;
+      const measured = socFromVoltage(curve, voltage);
+      const watts = typeof loadPower === 'number' ? loadPower * toWatts : state?.watts ?? 0;
+
+      if (!state || timestamp - state.timestamp > MAX_GAP) {
+        state = { timestamp, soc: measured, watts, discharged: state?.discharged ?? 0, phase: state?.phase ?? null, turn: measured };
+      } else if (timestamp > state.timestamp) {
+        const hours = (timestamp - state.timestamp) / HOUR;
+        // The load ran at the previous reading's power until this one
+        const counted = state.soc - (state.watts / voltage) * hours / capacity;
+        const weight = 1 - Math.exp(-(timestamp - state.timestamp) / VOLTAGE_TRUST);
+        const soc = clamp(counted + weight * (measured - counted));
+        state = {
+          ...state,
+          ...nextPhase(soc),
+          timestamp,
+          soc,
+          watts,
+          discharged: state.discharged + Math.max(0, state.soc - soc),
+        };
+      }
+      // Samples older than the last one (re-delivered or out of order) leave the estimate as it is
+      return { soc: state.soc * 100, autonomy: autonomyOf(state.soc, state.watts) };
+    },
+
+    // Latest estimate for the dashboard, or null before the first voltage reading
+    current() {
+      if (!state) return null;
+      return {
+        timestamp: state.timestamp,
+        soc: state.soc * 100,
+        autonomy: autonomyOf(state.soc, state.watts),
+        load: state.watts,
+        phase: state.phase,
+        cycles: state.discharged,
+      };
+    },
+
+    // What survives a restart; restore() takes it back
+    snapshot: () => state,
+
+    restore(saved) {
+      if (saved && Number.isFinite(saved.timestamp) && Number.isFinite(saved.soc)) state = { ...saved };
+    },
+  };
+};
+
+// Bring a model up to date after a restart: start from the saved state and replay the raw
+// samples stored since, or the last REPLAY_SPAN of them when nothing was saved
+export const replayBattery = async (model, store, site, saved, now = Date.now()) => {
+  model.restore(saved);
+  const from = saved ? saved.timestamp + 1 : now - REPLAY_SPAN;
+  const samples = await store.readSamples(site.id, from, now);
+  for (const { timestamp, metrics } of samples) model.update({ timestamp, ...metrics });
+};
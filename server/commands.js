@@ -0,0 +1,92 @@
+import { randomUUID } from 'node:crypto';
+import { validateCommand } from '../shared/commands.js';
+
+// Remote command lifecycle:
+//   pending       recorded, not yet accepted by the site's command channel
+//   sent          accepted by TalkBack or the MQTT broker, waiting for the controller
+//   acknowledged  the controller confirmed it (on TalkBack: it fetched the command)
+//   failed        the channel refused it or the controller reported an error
+//   expired       not acknowledged within the site's control.ackTimeout
+// Every change is appended to the command's history, which is its audit trail.
+export const COMMAND_STATUSES = ['pending', 'sent', 'acknowledged', 'failed', 'expired'];
+const FINISHED = ['acknowledged', 'failed', 'expired'];
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+// `initial` restores commands loaded from the history store; `onChange` is called whenever
+// a command is issued or changes status so it can be persisted and pushed to dashboards.
+export const createCommandStore = ({ initial = [], onChange = () => {} } = {}) => {
+  const commands = new Map(initial.map((command) => [command.id, command]));
+
+  const advance = (id, status, at, changes = {}) => {
+    const command = commands.get(id);
+    if (!command) return { error: 'not_found' };
+    if (FINISHED.includes(command.status)) return { error: `already_${command.status}`, command };
+
+    Object.assign(command, changes, { status, updatedAt: at });
+    if (FINISHED.includes(status)) command.finishedAt = at;
+    command.history.push({ at, status, message: changes.result ?? null });
+    onChange(command);
+    return { command };
+  };
+
+  return {
+    get(id) {
+      return commands.get(id);
+    },
+
+    list({ siteId, status } = {}) {
+      return [...commands.values()]
+        .filter((command) => (!siteId || command.siteId === siteId) && (!status || command.status === status))
+        .sort((a, b) => b.issuedAt - a.issuedAt);
+    },
+
+    // Record a command before it is sent. `by` is the operator's email, or "rule:<id>" for
+    // commands a rule action issued on its own.
+    issue(siteId, name, params, { by, ruleId = null, incidentId = null }, at = Date.now()) {
+      let checked;
+      try {
+        checked = validateCommand(name, params);
+      } catch (error) {
+        throw invalid(error.message);
+      }
+
+      const command = {
+        id: randomUUID(),
+        siteId,
+        command: name,
+        params: checked,
+        status: 'pending',
+        issuedBy: by,
+        ruleId,
+        incidentId,
+        issuedAt: at,
+        updatedAt: at,
+        reference: null,
+        result: null,
+        finishedAt: null,
+        history: [{ at, status: 'pending', by }],
+      };
+      commands.set(command.id, command);
+      onChange(command);
+      return command;
+    },
+
+    // `reference` is the channel's own id for the command, if it has one (TalkBack does)
+    markSent(id, reference = null, at = Date.now()) {
+      return advance(id, 'sent', at, { reference });
+    },
+
+    acknowledge(id, message = null, at = Date.now()) {
+      return advance(id, 'acknowledged', at, { result: message });
+    },
+
+    fail(id, message, at = Date.now()) {
+      return advance(id, 'failed', at, { result: message });
+    },
+
+    expire(id, at = Date.now()) {
+      return advance(id, 'expired', at, { result: 'No acknowledgment from the controller' });
+    },
+  };
+};
@@ -0,0 +1,46 @@
+import { validateCommand } from '../../shared/commands.js';
+import { createTalkBackChannel } from './talkback.js';
+import { createMqttCommandChannel } from './mqtt.js';
+
+// Command channels back to a site's controller. Every channel exposes start(onAck), stop()
+// and send(command) -> { reference }. Channels that learn about delivery by asking also have
+// check(command) -> { acknowledged, message }; the others report the controller's replies
+// through onAck(id, { ok, message }).
+const FACTORIES = {
+  talkback: createTalkBackChannel,
+  mqtt: createMqttCommandChannel,
+};
+
+export const DEFAULT_ACK_TIMEOUT = 5 * 60 * 1000;
+
+// A site's control block: { type, ...channel options, ackTimeout, actions }, or null when the
+// site cannot be controlled. Each action runs a command when a rule raises its alert and an
+// optional recovery command when it clears:
+//   { rule: 'voltage', command: 'shedLoad', recovery: { command: 'restoreLoad' } }
+export const normalizeControl = (control) => {
+  if (!control || !control.type) return null;
+  if (!FACTORIES[control.type]) {
+    throw new Error(`control.type must be one of: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+
+  const ackTimeout = control.ackTimeout ?? DEFAULT_ACK_TIMEOUT;
+  if (!Number.isInteger(ackTimeout) || ackTimeout <= 0) {
+    throw new Error('control.ackTimeout must be a positive whole number of milliseconds');
+  }
+
+  const actions = (control.actions || []).map((action) => {
+    if (!action.rule) throw new Error(`control action needs a "rule": ${JSON.stringify(action)}`);
+    return {
+      rule: action.rule,
+      command: action.command,
+      params: validateCommand(action.command, action.params),
+      recovery: action.recovery
+        ? { command: action.recovery.command, params: validateCommand(action.recovery.command, action.recovery.params) }
+        : null,
+    };
+  });
+
+  return { ...control, ackTimeout, actions };
+};
+
+export const createCommandChannel = ({ type, ...options }) => FACTORIES[type](options);
@@ -0,0 +1,49 @@
+import mqtt from 'mqtt';
+
+// Publishes each command as JSON ({ id, command, params, issuedAt }) to `topic` and listens on
+// `ackTopic` (default "<topic>/ack") for the controller's reply: { id, ok, message }.
+export const createMqttCommandChannel = ({ url, topic, ackTopic = topic && `${topic}/ack`, username, password }) => {
+  let client;
+
+  return {
+    name: 'mqtt',
+
+    start(onAck) {
+      if (!url || !topic) {
+        console.warn("MQTT command broker URL or topic missing. Commands to this site will fail.");
+        return;
+      }
+
+      client = mqtt.connect(url, { username, password });
+      client.on('connect', () => {
+        client.subscribe(ackTopic, (error) => {
+          if (error) console.error(`Error subscribing to ${ackTopic}:`, error.message);
+        });
+      });
+      client.on('message', (messageTopic, payload) => {
+        try {
+          const ack = JSON.parse(payload.toString());
+          if (!ack || !ack.id) throw new Error('acknowledgment has no command id');
+          onAck(String(ack.id), { ok: ack.ok !== false, message: ack.message ?? null });
+        } catch (error) {
+          console.error(`Ignoring malformed acknowledgment on ${messageTopic}:`, error.message);
+        }
+      });
+      client.on('error', (error) => console.error("MQTT command channel error:", error.message));
+    },
+
+    stop() {
+      if (client) client.end();
+      client = undefined;
+    },
+
+    // Fail straight away rather than queue while disconnected; a late shed-load does more harm than good
+    async send(command) {
+      if (!client) throw new Error('MQTT broker URL or topic missing');
+      if (!client.connected) throw new Error(`Not connected to ${url}`);
+      const { id, command: name, params, issuedAt } = command;
+      await client.publishAsync(topic, JSON.stringify({ id, command: name, params, issuedAt }), { qos: 1 });
+      return { reference: null };
+    },
+  };
+};
@@ -0,0 +1,36 @@
+import axios from 'axios';
+import { commandLine } from '../../shared/commands.js';
+
+const API_URL = 'https://api.thingspeak.com/talkbacks';
+
+// ThingSpeak TalkBack queues commands as lines of text ("<id> SHED_LOAD") which the controller
+// fetches with GET /talkbacks/<id>/commands/execute. ThingSpeak stamps executed_at when it
+// hands a command out, and that is the acknowledgment check() looks for.
+export const createTalkBackChannel = ({ talkbackId, apiKey, timeout = 10000 }) => {
+  const commandsUrl = `${API_URL}/${encodeURIComponent(talkbackId)}/commands`;
+
+  return {
+    name: 'talkback',
+
+    start() {
+      if (!talkbackId || !apiKey) console.warn("TalkBack id or API key missing. Commands to this site will fail.");
+    },
+
+    stop() {},
+
+    async send(command) {
+      if (!talkbackId || !apiKey) throw new Error('TalkBack id or API key missing');
+      const response = await axios.post(`${commandsUrl}.json`, new URLSearchParams({
+        api_key: apiKey,
+        command_string: commandLine(command.id, command.command, command.params),
+      }), { timeout });
+      return { reference: response.data.id };
+    },
+
+    async check(command) {
+      const response = await axios.get(`${commandsUrl}/${command.reference}.json`, { params: { api_key: apiKey }, timeout });
+      const executedAt = response.data.executed_at;
+      return { acknowledged: Boolean(executedAt), message: executedAt ? `Fetched by the controller at ${executedAt}` : null };
+    },
+  };
+};
@@ -0,0 +1,183 @@
+import { DAY, HOUR } from './store.js';
+
+// Energy accounting from stored telemetry. `loadPower` is integrated over time into kWh
+// and `lightIntensity` into insolation, then grouped by day, week (from Monday) or month
+// in the site's timezone. Sites describe their array in an optional `energy` block:
+//
+//   capacity          rated output of the panels in W; without it no performance ratio
+//   luxPerIrradiance  lux the light sensor reads per W/m² of sunlight
+//   tariff, currency  what a kWh from the grid would have cost
+//   co2Factor         kg of CO₂ the grid emits per kWh
+//   tilt, azimuth     panel tilt from horizontal and the compass direction it faces, in
+//                     degrees (180 = south), for the generation forecast; by default the
+//                     panels face the equator at the site's latitude
+
+export const PERIODS = ['day', 'week', 'month'];
+
+export const DEFAULT_ENERGY = {
+  capacity: null,
+  luxPerIrradiance: 120,
+  tariff: 8,
+  currency: 'INR',
+  co2Factor: 0.71,
+  tilt: null,
+  azimuth: null,
+};
+
+// How far back a report reaches when no `from` is given
+export const DEFAULT_SPANS = { day: 30 * DAY, week: 12 * 7 * DAY, month: 365 * DAY };
+
+// Multipliers from a power channel's unit to W
+export const POWER_UNITS = { mW: 0.001, W: 1, kW: 1000 };
+
+const checkNumber = (value, name, { optional = false, max = Infinity } = {}) => {
+  if (optional && (value === null || value === undefined || value === '')) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > max) {
+    const range = max === Infinity ? 'a non-negative number' : `a number from 0 to ${max}`;
+    throw new Error(`energy.${name} must be ${range}, got ${JSON.stringify(value)}`);
+  }
+  return number;
+};
+
+// Fill in defaults; values from the environment arrive as strings, and unset ones as ''
+export const normalizeEnergy = (energy = {}) => {
+  const given = Object.entries(energy).filter(([, value]) => value !== undefined && value !== '');
+  const merged = { ...DEFAULT_ENERGY, ...Object.fromEntries(given) };
+  return {
+    capacity: checkNumber(merged.capacity, 'capacity', { optional: true }),
+    luxPerIrradiance: checkNumber(merged.luxPerIrradiance, 'luxPerIrradiance'),
+    tariff: checkNumber(merged.tariff, 'tariff'),
+    currency: String(merged.currency),
+    co2Factor: checkNumber(merged.co2Factor, 'co2Factor'),
+    tilt: checkNumber(merged.tilt, 'tilt', { optional: true, max: 90 }),
+    azimuth: checkNumber(merged.azimuth, 'azimuth', { optional: true, max: 360 }),
+  };
+};
+
+const formatters = new Map();
+
+// Wall-clock date and time of `timestamp` in `timezone`
+const localParts = (timestamp, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+    }));
+  }
+  return Object.fromEntries(formatters.get(timezone).formatToParts(timestamp)
+    .filter(({ type }) => type !== 'literal')
+    .map(({ type, value }) => [type, Number(value)]));
+};
+
+// How far `timezone` is ahead of UTC at `timestamp`, in ms
+const zoneOffset = (timestamp, timezone) => {
+  const { year, month, day, hour, minute } = localParts(timestamp, timezone);
+  return Date.UTC(year, month - 1, day, hour, minute) - Math.floor(timestamp / 60000) * 60000;
+};
+
+// Period a timestamp falls in: "2026-10-19" for days, the Monday for weeks, "2026-10" for months
+export const periodKey = (timestamp, period, timezone) => {
+  const { year, month, day } = localParts(timestamp, timezone);
+  if (period === 'month') return `${year}-${String(month).padStart(2, '0')}`;
+
+  const date = Date.UTC(year, month - 1, day);
+  const start = period === 'week' ? date - ((new Date(date).getUTCDay() + 6) % 7) * DAY : date;
+  return new Date(start).toISOString().slice(0, 10);
+};
+
+// Epoch ms at which a period key starts in `timezone`. The second lookup uses the offset
+// in force at local midnight itself, which differs from UTC midnight's on DST change days.
+export const periodStart = (key, timezone) => {
+  const midnight = Date.parse(key.length === 7 ? `${key}-01T00:00:00Z` : `${key}T00:00:00Z`);
+  return midnight - zoneOffset(midnight - zoneOffset(midnight, timezone), timezone);
+};
+
+// Start of the report window when no `from` is given: the start of the period DEFAULT_SPANS back
+export const defaultFrom = (period, to, timezone) => periodStart(periodKey(to - DEFAULT_SPANS[period], period, timezone), timezone);
+
+const emptyPeriod = () => ({ energy: 0, peakPower: null, insolation: 0, litEnergy: 0 });
+
+// Energy (Wh), peak power (W) and insolation (Wh/m²) per period. A raw sample's reading
+// holds until the next sample but never longer than `offlineAfter`, so outages do not count
+// as production; an hourly rollup stands for its whole hour. The performance ratio only
+// uses stretches where both power and light were known.
+const accumulate = (samples, rollups, site, { to, period }) => {
+  const power = site.channels.find((channel) => channel.metric === 'loadPower');
+  const toWatts = POWER_UNITS[power?.unit] ?? 1;
+  const periods = new Map();
+  const add = (timestamp, span, watts, lux, peak) => {
+    const key = periodKey(timestamp, period, site.timezone);
+    if (!periods.has(key)) periods.set(key, emptyPeriod());
+    const totals = periods.get(key);
+    const hours = span / HOUR;
+
+    if (typeof watts === 'number') {
+      totals.energy += watts * hours;
+      totals.peakPower = Math.max(totals.peakPower ?? 0, peak ?? watts);
+    }
+    if (typeof lux === 'number') {
+      totals.insolation += (lux / site.energy.luxPerIrradiance) * hours;
+      if (typeof watts === 'number') totals.litEnergy += watts * hours;
+    }
+  };
+
+  for (const { timestamp, metrics } of rollups) {
+    const watts = metrics.loadPower ? metrics.loadPower.avg * toWatts : undefined;
+    add(timestamp, HOUR, watts, metrics.lightIntensity?.avg, metrics.loadPower && metrics.loadPower.max * toWatts);
+  }
+
+  samples.forEach(({ timestamp, metrics }, index) => {
+    const next = samples[index + 1]?.timestamp ?? to;
+    const span = Math.max(0, Math.min(next - timestamp, site.offlineAfter));
+    const watts = typeof metrics.loadPower === 'number' ? metrics.loadPower * toWatts : undefined;
+    add(timestamp, span, watts, metrics.lightIntensity);
+  });
+  return periods;
+};
+
+// Turn accumulated Wh figures into the reported kWh, savings and performance ratio
+const summarize = (totals, energy) => {
+  const kWh = totals.energy / 1000;
+  const insolation = totals.insolation / 1000;
+  const expected = energy.capacity ? (energy.capacity / 1000) * insolation : 0;
+  return {
+    energy: kWh,
+    peakPower: totals.peakPower,
+    insolation,
+    performanceRatio: expected > 0 ? totals.litEnergy / 1000 / expected : null,
+    savings: kWh * energy.tariff,
+    co2Avoided: kWh * energy.co2Factor,
+  };
+};
+
+// Energy report for one site over [from, to], one entry per period plus overall totals
+export const energyReport = async (store, site, { from, to, period = 'day' }) => {
+  const [samples, rollups] = await Promise.all([
+    store.readSamples(site.id, from, to),
+    store.readRollups(site.id, from, to),
+  ]);
+  samples.sort((a, b) => a.timestamp - b.timestamp);
+
+  const periods = accumulate(samples, rollups, site, { to, period });
+  const overall = emptyPeriod();
+  for (const totals of periods.values()) {
+    overall.energy += totals.energy;
+    overall.insolation += totals.insolation;
+    overall.litEnergy += totals.litEnergy;
+    if (totals.peakPower !== null) overall.peakPower = Math.max(overall.peakPower ?? 0, totals.peakPower);
+  }
+
+  return {
+    site: site.id,
+    period,
+    from,
+    to,
+    timezone: site.timezone,
+    currency: site.energy.currency,
+    capacity: site.energy.capacity,
+    periods: [...periods.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, totals]) => ({ period: key, start: periodStart(key, site.timezone), ...summarize(totals, site.energy) })),
+    totals: summarize(overall, site.energy),
+  };
+};
@@ -0,0 +1,86 @@
+import { DAY } from './store.js';
+
+// Escalation policy for a site:
+//   {
+//     levels: [
+//       { after: 0, notify: ['oncall:technicians'] },          // when the incident opens
+//       { after: 15 * 60 * 1000, notify: ['Supervisor'] },     // still unacknowledged 15 minutes later
+//       { after: 45 * 60 * 1000, notify: ['Ops manager'] },
+//     ],
+//     rotations: {
+//       technicians: { members: ['Asha', 'Ravi'], start: '2026-01-05T09:00:00+05:30', shiftDays: 7 },
+//     },
+//     quietHours: { from: 22, to: 6, severities: ['info', 'warning'] },
+//   }
+// `notify` entries are recipient names, or "oncall:<rotation>" for whoever is on shift.
+// Sites without a policy notify every recipient at level 0, as before.
+
+const ONCALL = 'oncall:';
+
+export const normalizeEscalation = (escalation, recipients) => {
+  const names = recipients.map((recipient) => recipient.name);
+  const rotations = Object.fromEntries(Object.entries(escalation?.rotations || {}).map(([name, rotation]) => {
+    const start = Date.parse(rotation.start);
+    if (!Array.isArray(rotation.members) || rotation.members.length === 0 || Number.isNaN(start)) {
+      throw new Error(`Rotation "${name}" needs a non-empty "members" list and a valid "start" date`);
+    }
+    return [name, { members: rotation.members, start, shiftDays: rotation.shiftDays || 7 }];
+  }));
+
+  const levels = (escalation?.levels || [{ after: 0, notify: names }])
+    .map((level) => ({ after: level.after || 0, notify: level.notify || [] }))
+    .sort((a, b) => a.after - b.after);
+
+  for (const level of levels) {
+    for (const ref of level.notify) {
+      const known = ref.startsWith(ONCALL) ? rotations[ref.slice(ONCALL.length)] : names.includes(ref);
+      if (!known) throw new Error(`Escalation refers to unknown recipient or rotation "${ref}"`);
+    }
+  }
+  for (const [name, rotation] of Object.entries(rotations)) {
+    const unknown = rotation.members.filter((member) => !names.includes(member));
+    if (unknown.length > 0) throw new Error(`Rotation "${name}" has unknown member(s): ${unknown.join(', ')}`);
+  }
+
+  const quietHours = escalation?.quietHours
+    ? { severities: ['info'], ...escalation.quietHours }
+    : null;
+
+  return { levels, rotations, quietHours };
+};
+
+// Member on shift for a rotation at a given time
+export const onCallMember = (rotation, at) => {
+  const shift = Math.floor((at - rotation.start) / (rotation.shiftDays * DAY));
+  const count = rotation.members.length;
+  return rotation.members[((shift % count) + count) % count];
+};
+
+// Recipients to notify for one escalation level, resolving on-call references at `at`
+export const recipientsForLevel = (site, level, at) => {
+  const names = new Set(site.escalation.levels[level].notify.map((ref) => (
+    ref.startsWith(ONCALL) ? onCallMember(site.escalation.rotations[ref.slice(ONCALL.length)], at) : ref
+  )));
+  return site.recipients.filter((recipient) => names.has(recipient.name));
+};
+
+// Highest level whose delay has passed for an incident opened at `openedAt`
+export const dueLevel = (escalation, openedAt, at) => {
+  let level = -1;
+  escalation.levels.forEach((candidate, index) => {
+    if (at - openedAt >= candidate.after) level = index;
+  });
+  return level;
+};
+
+const localHour = (at, timezone) => Number(
+  new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone }).format(at)
+);
+
+// Whether notifications of this severity are held back at `at`
+export const isQuiet = (site, severity, at) => {
+  const quiet = site.escalation.quietHours;
+  if (!quiet || !quiet.severities.includes(severity)) return false;
+  const hour = localHour(at, site.timezone);
+  return quiet.from <= quiet.to ? hour >= quiet.from && hour < quiet.to : hour >= quiet.from || hour < quiet.to;
+};
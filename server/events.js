@@ -0,0 +1,66 @@
+import { hasRole } from './access.js';
+
+// Server-sent events for open dashboards. The polling loop is the only reader of telemetry
+// sources; it publishes what it stores here and every tab watching that site receives it.
+//
+// Events are `samples` ({ points: [{ timestamp, <metric>: value, issues? }] }), `incident`
+// (the incident after any change) and `command` (a remote command after any change, sent to
+// operators only).
+
+// Comment lines keep idle connections from being closed by proxies along the way
+const KEEP_ALIVE = 25 * 1000;
+// How long a browser waits before reconnecting a dropped stream
+const RETRY = 5000;
+// Longest delay setTimeout takes; longer ones fire at once
+const MAX_DELAY = 2 ** 31 - 1;
+
+export const createEventHub = () => {
+  const clients = new Map(); // siteId -> Map of response -> the user's role on the site
+
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const timer = setInterval(() => {
+    for (const streams of clients.values()) {
+      for (const res of streams.keys()) res.write(': keep-alive\n\n');
+    }
+  }, KEEP_ALIVE);
+  timer.unref();
+
+  return {
+    // Hold `res` open as an event stream for one site until the client leaves or `expiresAt` passes
+    subscribe(siteId, req, res, expiresAt, role = 'viewer') {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY}\n\n`);
+
+      if (!clients.has(siteId)) clients.set(siteId, new Map());
+      clients.get(siteId).set(res, role);
+
+      // A stream must not outlive its session; the browser reconnects and gets a 401. Sessions
+      // longer than MAX_DELAY wait in several steps.
+      let expiry = null;
+      const expire = () => {
+        const left = expiresAt - Date.now();
+        if (left > 0) expiry = setTimeout(expire, Math.min(left, MAX_DELAY));
+        else res.end();
+      };
+      if (expiresAt) expire();
+      req.on('close', () => {
+        clearTimeout(expiry);
+        clients.get(siteId)?.delete(res);
+        if (clients.get(siteId)?.size === 0) clients.delete(siteId);
+      });
+    },
+
+    // `minRole` keeps an event from users below that role on the site
+    publish(siteId, event, data, minRole = 'viewer') {
+      for (const [res, role] of clients.get(siteId) || []) {
+        if (hasRole(role, minRole)) send(res, event, data);
+      }
+    },
+  };
+};
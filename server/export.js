@@ -0,0 +1,91 @@
+import { formatMetric } from '../shared/channels.js';
+import { messagesFor } from '../shared/i18n.js';
+import { queryTelemetry } from './history.js';
+
+// Telemetry and alert history as plain tables ({ name, columns, rows }) for CSV and XLSX
+// downloads. Headers and labels are in the requested language; times are written as
+// "YYYY-MM-DD HH:MM:SS" in the site's timezone so spreadsheets sort them correctly.
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_DATASETS = ['telemetry', 'alerts'];
+
+const formatters = new Map();
+
+const localTime = (timestamp, timezone) => {
+  if (timestamp === null || timestamp === undefined) return '';
+  if (!formatters.has(timezone)) {
+    // Swedish formatting is ISO 8601 with a space, which every spreadsheet understands
+    formatters.set(timezone, new Intl.DateTimeFormat('sv-SE', { timeZone: timezone, dateStyle: 'short', timeStyle: 'medium' }));
+  }
+  return formatters.get(timezone).format(timestamp);
+};
+
+// Round to the channel's display precision but keep numbers numeric for spreadsheets
+const metricValue = (value, channel) => {
+  const formatted = formatMetric(value, channel);
+  return formatted === undefined ? null : Number(formatted);
+};
+
+export const telemetryTable = async (store, site, { from, to, bucket }, language) => {
+  const messages = messagesFor(language);
+  const metrics = site.channels.map((channel) => channel.metric);
+  const points = await queryTelemetry(store, site.id, { from, to, metrics, bucket });
+
+  return {
+    name: messages.exports.telemetrySheet,
+    columns: [
+      `${messages.exports.time} (${site.timezone})`,
+      ...site.channels.map((channel) => `${messages[channel.label] || channel.metric}${channel.unit ? ` (${channel.unit})` : ''}`),
+    ],
+    rows: points.map((point) => [
+      localTime(point.timestamp, site.timezone),
+      ...site.channels.map((channel) => metricValue(point[channel.metric], channel)),
+    ]),
+  };
+};
+
+// Incidents that were live at any point in [from, to], newest first
+export const alertTable = (incidents, site, { from, to }, language) => {
+  const messages = messagesFor(language);
+  const { exports: labels } = messages;
+  const channelOf = (metric) => site.channels.find((channel) => channel.metric === metric);
+
+  return {
+    name: labels.alertsSheet,
+    columns: [
+      `${labels.opened} (${site.timezone})`,
+      `${labels.resolved} (${site.timezone})`,
+      labels.alert,
+      labels.severity,
+      labels.status,
+      labels.value,
+      labels.threshold,
+      labels.acknowledgedBy,
+      labels.resolvedBy,
+    ],
+    rows: incidents.list({ siteId: site.id })
+      .filter((incident) => incident.openedAt <= to && (incident.resolvedAt ?? Infinity) >= from)
+      .map((incident) => [
+        localTime(incident.openedAt, site.timezone),
+        localTime(incident.resolvedAt, site.timezone),
+        messages.alerts[incident.ruleId] || incident.ruleId,
+        messages.notifications.severities[incident.severity] || incident.severity,
+        labels.statuses[incident.status] || incident.status,
+        metricValue(incident.lastValue, channelOf(incident.metric)),
+        metricValue(incident.threshold, channelOf(incident.metric)),
+        incident.acknowledgedBy || '',
+        incident.resolvedBy || '',
+      ]),
+  };
+};
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 CSV with a byte-order mark, without which Excel misreads Indic scripts
+export const toCsv = ({ columns, rows }) => `\uFEFF${[columns, ...rows]
+  .map((values) => values.map(csvField).join(','))
+  .join('\r\n')}\r\n`;
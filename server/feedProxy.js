@@ -0,0 +1,45 @@
+import axios from 'axios';
+import { buildFeedsUrl, samplesFromFeeds } from '../shared/telemetry.js';
+import { assessSeries } from '../shared/quality.js';
+import { queryTelemetry, toPoint } from './history.js';
+
+// Serves dashboard feed requests without exposing source credentials to the browser.
+// The latest samples always come from the history store, which the polling loop keeps
+// current; ThingSpeak history windows are proxied with a short-lived cache shared by
+// every open tab, and other sources answer those from the store as well.
+export const createFeedProxy = ({ store, ttl = 10000 }) => {
+  const cache = new Map();
+
+  const fetchThingSpeak = (url) => {
+    const now = Date.now();
+    for (const [key, entry] of cache) {
+      if (entry.expires <= now) cache.delete(key);
+    }
+
+    if (!cache.has(url)) {
+      const request = axios.get(url).then((response) => response.data);
+      cache.set(url, { expires: now + ttl, request });
+      request.catch(() => cache.delete(url));
+    }
+    return cache.get(url).request;
+  };
+
+  return {
+    // { results } for the latest N samples, or { from, to, average } (average in minutes)
+    async feed(site, { results, from, to, average }) {
+      const { type, channelId, apiKey } = site.source;
+
+      if (from === undefined) {
+        return (await store.latestSamples(site.id, results)).map(toPoint);
+      }
+
+      if (type === 'thingspeak') {
+        const body = await fetchThingSpeak(buildFeedsUrl({ channelId, apiKey, start: from, end: to, average }));
+        return assessSeries(samplesFromFeeds(body), site.channels);
+      }
+
+      const metrics = site.channels.map((channel) => channel.metric);
+      return queryTelemetry(store, site.id, { from, to, metrics, bucket: average ? average * 60000 : undefined });
+    },
+  };
+};
@@ -0,0 +1,37 @@
+import { SEVERITIES, bySeverity } from '../shared/rules.js';
+import { isOnline } from './heartbeat.js';
+import { energyReport, periodKey, periodStart } from './energy.js';
+
+// One line per site for the fleet overview: where it is, whether it is reporting, what is
+// wrong with it and how much it produced today (local day, in kWh).
+//
+// `state` is the most urgent of: offline (no data within offlineAfter), alerting (has
+// incidents that are not resolved yet) and online.
+export const fleetSummary = async ({ site, store, incidents, lastSeen, now = Date.now() }) => {
+  const live = incidents.list({ siteId: site.id }).filter((incident) => incident.status !== 'resolved').sort(bySeverity);
+  const online = isOnline(lastSeen, site.offlineAfter, now);
+
+  let todayEnergy = null;
+  try {
+    const from = periodStart(periodKey(now, 'day', site.timezone), site.timezone);
+    const report = await energyReport(store, site, { from, to: now, period: 'day' });
+    todayEnergy = report.totals.energy;
+  } catch (error) {
+    console.error(`[${site.name}] Error computing today's energy:`, error.message);
+  }
+
+  return {
+    id: site.id,
+    name: site.name,
+    location: site.location,
+    state: !online ? 'offline' : live.length > 0 ? 'alerting' : 'online',
+    online,
+    lastSeen,
+    alerts: {
+      total: live.length,
+      severity: live[0]?.severity ?? null,
+      ...Object.fromEntries(SEVERITIES.map((severity) => [severity, live.filter((incident) => incident.severity === severity).length])),
+    },
+    todayEnergy,
+  };
+};
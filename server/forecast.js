@@ -0,0 +1,181 @@
+import { DAY, HOUR } from './store.js';
+import { POWER_UNITS, periodKey, periodStart } from './energy.js';
+import { clearSkyIrradiance } from './solar.js';
+
+// Generation forecast that runs offline. Expected power is
+//
+//   wattsPerIrradiance × clear-sky irradiance on the panels × clearness
+//
+//   wattsPerIrradiance  W the array yields per W/m² on its panels, learned from the last
+//                       CALIBRATION_DAYS of light and power: the median over hours the light
+//                       sensor saw a clear sky, else a high percentile over all daylight hours.
+//                       Sites without enough history use their rated capacity at
+//                       DEFAULT_PERFORMANCE.
+//   clearness           share of the clear-sky sunlight that gets through: from the weather
+//                       provider's cloud cover where it has some (see weather.js), otherwise
+//                       what the last PERSISTENCE_DAYS produced against their clear-sky level,
+//                       since tomorrow is most often like the last few days.
+//
+// Forecasts need the site's location. The model is learned again at most every ttl.
+
+const CALIBRATION_DAYS = 14;
+const PERSISTENCE_DAYS = 3;
+const CALIBRATION_TTL = HOUR;
+const DEFAULT_PERFORMANCE = 0.75;
+// Hours with less clear-sky sunlight than this on the panels say little about the array
+const MIN_IRRADIANCE = 150;
+// Light at least this share of the clear-sky level counts as a clear hour
+const CLEAR_HOUR = 0.8;
+const MIN_HOURS = 6;
+// Fine enough to draw a day on the chart; longer windows are forecast hourly
+const FINE_STEP = 10 * 60 * 1000;
+const FINE_SPAN = 3 * DAY;
+const MAX_POINTS = 2000;
+// How far ahead weather forecasts are fetched
+const WEATHER_SPAN = 3 * DAY;
+
+const unavailable = (message) => Object.assign(new Error(message), { status: 409 });
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const percentile = (values, share) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))];
+};
+
+// Kasten and Czeplak: share of the clear-sky sunlight that reaches the ground under cloud cover 0-1
+const clearnessOf = (cloudCover) => 1 - 0.75 * cloudCover ** 3.4;
+
+// Panels face the equator, tilted at the latitude, unless the energy block says otherwise
+const panelsOf = ({ location, energy }) => ({
+  lat: location.lat,
+  lon: location.lon,
+  tilt: energy.tilt ?? Math.abs(location.lat),
+  azimuth: energy.azimuth ?? (location.lat >= 0 ? 180 : 0),
+});
+
+const toWattsOf = (site) => POWER_UNITS[site.channels.find((channel) => channel.metric === 'loadPower')?.unit] ?? 1;
+
+// Mean light and power (W) per hour of raw samples, with the clear-sky level at mid-hour
+const daylightHours = (site, samples) => {
+  const toWatts = toWattsOf(site);
+  const hours = new Map();
+  for (const { timestamp, metrics } of samples) {
+    const hour = Math.floor(timestamp / HOUR) * HOUR;
+    if (!hours.has(hour)) hours.set(hour, { light: [], watts: [] });
+    if (typeof metrics.lightIntensity === 'number') hours.get(hour).light.push(metrics.lightIntensity);
+    if (typeof metrics.loadPower === 'number') hours.get(hour).watts.push(metrics.loadPower * toWatts);
+  }
+
+  const panels = panelsOf(site);
+  return [...hours]
+    .map(([hour, { light, watts }]) => ({
+      timestamp: hour,
+      light: mean(light),
+      watts: mean(watts),
+      ...clearSkyIrradiance(hour + HOUR / 2, panels),
+    }))
+    .filter(({ watts, poa }) => watts !== null && poa >= MIN_IRRADIANCE);
+};
+
+// { wattsPerIrradiance, calibratedFrom: clearHours | history | capacity | null, clearness }
+export const calibrate = (site, samples, now = Date.now()) => {
+  const hours = daylightHours(site, samples);
+  const clearHours = hours.filter(({ light, ghi }) => light !== null && light / site.energy.luxPerIrradiance >= CLEAR_HOUR * ghi);
+
+  let wattsPerIrradiance = null;
+  let calibratedFrom = null;
+  if (clearHours.length >= MIN_HOURS) {
+    wattsPerIrradiance = percentile(clearHours.map(({ watts, poa }) => watts / poa), 0.5);
+    calibratedFrom = 'clearHours';
+  } else if (hours.length >= MIN_HOURS) {
+    wattsPerIrradiance = percentile(hours.map(({ watts, poa }) => watts / poa), 0.9);
+    calibratedFrom = 'history';
+  } else if (site.energy.capacity) {
+    wattsPerIrradiance = (site.energy.capacity / 1000) * DEFAULT_PERFORMANCE;
+    calibratedFrom = 'capacity';
+  }
+
+  const recent = hours.filter(({ timestamp }) => timestamp >= now - PERSISTENCE_DAYS * DAY);
+  const possible = recent.reduce((sum, { poa }) => sum + wattsPerIrradiance * poa, 0);
+  const clearness = wattsPerIrradiance && recent.length >= MIN_HOURS && possible > 0
+    ? Math.min(1, recent.reduce((sum, { watts }) => sum + watts, 0) / possible)
+    : 1;
+
+  return { wattsPerIrradiance, calibratedFrom, clearness };
+};
+
+// `weather` is an optional provider from weather.js; forecasts fall back to the recent
+// clearness whenever it has nothing for an hour or fails
+export const createForecaster = ({ store, weather = null, ttl = CALIBRATION_TTL }) => {
+  const cache = new Map(); // siteId -> { site, at, model, cover: Map of hour -> cloud cover }
+
+  // Changed settings rebuild the site, which starts a fresh model
+  const load = async (site, now) => {
+    const cached = cache.get(site.id);
+    if (cached && cached.site === site && now - cached.at < ttl) return cached;
+
+    const samples = await store.readSamples(site.id, now - CALIBRATION_DAYS * DAY, now);
+    const cover = new Map();
+    if (weather) {
+      try {
+        const hours = await weather.cloudCover({ lat: site.location.lat, lon: site.location.lon, from: now - HOUR, to: now + WEATHER_SPAN });
+        for (const { timestamp, cloudCover } of hours) cover.set(Math.floor(timestamp / HOUR), cloudCover);
+      } catch (error) {
+        console.error(`[${site.name}] Error fetching the weather forecast from ${weather.name}:`, error.message);
+      }
+    }
+
+    const entry = { site, at: now, model: calibrate(site, samples, now), cover };
+    cache.set(site.id, entry);
+    return entry;
+  };
+
+  return {
+    // Expected and clear-sky power between `from` and `to`, in the power channel's unit, and
+    // tomorrow's expected energy (kWh) and peak in the site's timezone
+    async forecast(site, { from, to, now = Date.now() }) {
+      if (!site.location) throw unavailable('Set the site location to forecast its generation');
+      const { model, cover } = await load(site, now);
+      if (model.wattsPerIrradiance === null) {
+        throw unavailable('Set the rated panel capacity, or collect a few days of light and power readings, to forecast generation');
+      }
+
+      const panels = panelsOf(site);
+      const toWatts = toWattsOf(site);
+      const wattsAt = (timestamp) => {
+        const clearSky = model.wattsPerIrradiance * clearSkyIrradiance(timestamp, panels).poa;
+        const cloudCover = cover.get(Math.floor(timestamp / HOUR));
+        return { clearSky, expected: clearSky * (cloudCover === undefined ? model.clearness : clearnessOf(cloudCover)) };
+      };
+
+      const span = to - from;
+      const step = Math.max(span <= FINE_SPAN ? FINE_STEP : HOUR, Math.ceil(span / MAX_POINTS / FINE_STEP) * FINE_STEP);
+      const points = [];
+      for (let timestamp = Math.ceil(from / step) * step; timestamp <= to; timestamp += step) {
+        const { clearSky, expected } = wattsAt(timestamp);
+        points.push({ timestamp, clearSky: clearSky / toWatts, expected: expected / toWatts });
+      }
+
+      const today = periodKey(now, 'day', site.timezone);
+      const date = new Date(Date.parse(today) + DAY).toISOString().slice(0, 10);
+      const start = periodStart(date, site.timezone);
+      const end = periodStart(new Date(Date.parse(date) + DAY).toISOString().slice(0, 10), site.timezone);
+      let energy = 0;
+      let peak = 0;
+      for (let timestamp = start; timestamp < end; timestamp += FINE_STEP) {
+        const { expected } = wattsAt(timestamp);
+        energy += (expected * FINE_STEP) / HOUR;
+        peak = Math.max(peak, expected);
+      }
+
+      return {
+        site: site.id,
+        unit: site.channels.find((channel) => channel.metric === 'loadPower')?.unit ?? 'W',
+        model: { ...model, weather: cover.size > 0 ? weather.name : null },
+        points,
+        tomorrow: { date, energy: energy / 1000, peak: peak / toWatts },
+      };
+    },
+  };
+};
@@ -0,0 +1,41 @@
+import { HOUR } from './store.js';
+
+// Heartbeat tracking. A site counts as online for `offlineAfter` ms after each sample it
+// sends; once that passes without a new one a "device offline" incident is raised through
+// the same incident and escalation path as rule alerts.
+
+export const OFFLINE_RULE_ID = 'offline';
+
+// Alert for a silent site, shaped like the rule engine's alerts
+export const offlineAlert = (since) => ({
+  ruleId: OFFLINE_RULE_ID,
+  severity: 'critical',
+  message: 'No data has been received from the sensor board. Please check its power supply and network connection.',
+  since,
+});
+
+export const isOnline = (lastSeen, offlineAfter, now = Date.now()) => lastSeen !== null && now - lastSeen <= offlineAfter;
+
+// Share of [from, to] during which the site was online. Raw samples keep it online for
+// `offlineAfter` each; hours older than raw retention count as online if they have a rollup.
+export const measureUptime = async (store, siteId, { from, to, offlineAfter }) => {
+  const [samples, rollups] = await Promise.all([
+    store.readSamples(siteId, from - offlineAfter, to),
+    store.readRollups(siteId, from - HOUR, to),
+  ]);
+
+  const intervals = [
+    ...samples.map(({ timestamp }) => [timestamp, timestamp + offlineAfter]),
+    ...rollups.map(({ timestamp }) => [timestamp, timestamp + HOUR + offlineAfter]),
+  ].sort((a, b) => a[0] - b[0]);
+
+  let covered = 0;
+  let reach = from;
+  for (const [start, end] of intervals) {
+    const clippedStart = Math.max(start, reach);
+    const clippedEnd = Math.min(end, to);
+    if (clippedEnd > clippedStart) covered += clippedEnd - clippedStart;
+    reach = Math.max(reach, Math.min(end, to));
+  }
+  return covered / (to - from);
+};
@@ -0,0 +1,80 @@
+import { HOUR } from './store.js';
+
+export const AGGREGATES = ['avg', 'min', 'max'];
+
+// Raw responses larger than this must be bucketed
+export const MAX_RAW_POINTS = 10000;
+
+const UNITS = { m: 60 * 1000, h: HOUR, d: 24 * HOUR };
+
+// Parse bucket sizes such as "5m", "1h" or "1d" into milliseconds
+export const parseBucket = (value) => {
+  const match = /^(\d+)([mhd])$/.exec(value || '');
+  if (!match || Number(match[1]) === 0) return undefined;
+  return Number(match[1]) * UNITS[match[2]];
+};
+
+// Accept ISO dates or epoch milliseconds in query strings
+export const parseTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? NaN : time;
+};
+
+// A stored sample as the dashboard charts it; data-quality issues found on arrival are kept
+export const toPoint = ({ timestamp, metrics, issues }) => (issues ? { timestamp, ...metrics, issues } : { timestamp, ...metrics });
+
+// Raw samples and hourly rollups as one series of { timestamp, count, metrics: { m: { avg, min, max } } }
+const toPoints = (samples, rollups, metrics) => [
+  ...rollups,
+  ...samples.map(({ timestamp, metrics: values }) => ({
+    timestamp,
+    count: 1,
+    metrics: Object.fromEntries(metrics
+      .filter((metric) => typeof values[metric] === 'number')
+      .map((metric) => [metric, { avg: values[metric], min: values[metric], max: values[metric] }])),
+  })),
+].sort((a, b) => a.timestamp - b.timestamp);
+
+const aggregate = (points, metric, agg) => {
+  const stats = points.map((point) => ({ count: point.count, ...point.metrics[metric] })).filter((stat) => stat.avg !== undefined);
+  if (stats.length === 0) return null;
+  // Buckets can hold far more points than a spread call takes arguments
+  if (agg === 'min') return stats.reduce((min, stat) => Math.min(min, stat.min), Infinity);
+  if (agg === 'max') return stats.reduce((max, stat) => Math.max(max, stat.max), -Infinity);
+
+  const weight = stats.reduce((sum, stat) => sum + stat.count, 0);
+  return stats.reduce((sum, stat) => sum + stat.avg * stat.count, 0) / weight;
+};
+
+// Query stored history for one site. Without a bucket every stored point is returned;
+// with one, points are grouped into fixed windows aligned to the epoch.
+export const queryTelemetry = async (store, siteId, { from, to, metrics, bucket, agg = 'avg' }) => {
+  const [samples, rollups] = await Promise.all([
+    store.readSamples(siteId, from, to),
+    store.readRollups(siteId, from, to),
+  ]);
+  const points = toPoints(samples, rollups, metrics);
+
+  if (!bucket) {
+    if (points.length > MAX_RAW_POINTS) {
+      throw Object.assign(new Error(`Range holds ${points.length} points; pass a bucket to aggregate it`), { status: 400 });
+    }
+    return points.map((point) => ({
+      timestamp: point.timestamp,
+      ...Object.fromEntries(metrics.map((metric) => [metric, point.metrics[metric]?.[agg] ?? null])),
+    }));
+  }
+
+  const buckets = new Map();
+  for (const point of points) {
+    const start = Math.floor(point.timestamp / bucket) * bucket;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(point);
+  }
+
+  return [...buckets.entries()].map(([timestamp, grouped]) => ({
+    timestamp,
+    ...Object.fromEntries(metrics.map((metric) => [metric, aggregate(grouped, metric, agg)])),
+  }));
+};
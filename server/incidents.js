@@ -0,0 +1,113 @@
+import { randomUUID } from 'node:crypto';
+
+// Incident lifecycle: open -> acknowledged -> resolved (acknowledging is optional).
+// One incident per site and rule is live at a time; later evaluations of the same alert
+// update its lastValue instead of opening a new one.
+export const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// `initial` restores incidents loaded from the history store; `onChange` is called
+// whenever an incident is created or changes so it can be persisted.
+export const createIncidentStore = ({ initial = [], onChange = () => {} } = {}) => {
+  const incidents = new Map(initial.map((incident) => [incident.id, incident]));
+
+  const findLive = (siteId, ruleId) => [...incidents.values()].find(
+    (incident) => incident.siteId === siteId && incident.ruleId === ruleId && incident.status !== 'resolved'
+  );
+
+  return {
+    findLive,
+
+    get(id) {
+      return incidents.get(id);
+    },
+
+    list({ siteId, status } = {}) {
+      return [...incidents.values()]
+        .filter((incident) => (!siteId || incident.siteId === siteId) && (!status || incident.status === status))
+        .sort((a, b) => b.openedAt - a.openedAt);
+    },
+
+    // Open an incident for a raised alert; an alert that already has a live one gets that
+    open(siteId, alert, at = Date.now()) {
+      const live = findLive(siteId, alert.ruleId);
+      if (live) return { incident: live, created: false };
+
+      const incident = {
+        id: randomUUID(),
+        siteId,
+        ruleId: alert.ruleId,
+        severity: alert.severity,
+        message: alert.message,
+        metric: alert.metric,
+        threshold: alert.threshold,
+        firstValue: alert.value,
+        lastValue: alert.value,
+        status: 'open',
+        openedAt: at,
+        updatedAt: at,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        resolvedAt: null,
+        resolvedBy: null,
+        escalationLevel: -1,
+        notifiedAt: null,
+        notes: [],
+      };
+      incidents.set(incident.id, incident);
+      onChange(incident);
+      return { incident, created: true };
+    },
+
+    // Record the latest value of a live incident's metric
+    update(id, value, at = Date.now()) {
+      const incident = incidents.get(id);
+      if (!incident) return { error: 'not_found' };
+      if (incident.lastValue === value) return { incident };
+
+      incident.lastValue = value;
+      incident.updatedAt = at;
+      onChange(incident);
+      return { incident };
+    },
+
+    // Record that escalation `level` has been notified; the first notification starts the escalation clock
+    escalate(id, level, at = Date.now()) {
+      const incident = incidents.get(id);
+      if (!incident) return { error: 'not_found' };
+
+      incident.escalationLevel = level;
+      incident.notifiedAt = incident.notifiedAt ?? at;
+      incident.updatedAt = at;
+      onChange(incident);
+      return { incident };
+    },
+
+    acknowledge(id, by, note, at = Date.now()) {
+      const incident = incidents.get(id);
+      if (!incident) return { error: 'not_found' };
+      if (incident.status !== 'open') return { error: `already_${incident.status}`, incident };
+
+      incident.status = 'acknowledged';
+      incident.acknowledgedAt = at;
+      incident.acknowledgedBy = by;
+      incident.updatedAt = at;
+      if (note) incident.notes.push({ at, by, text: note });
+      onChange(incident);
+      return { incident };
+    },
+
+    resolve(id, by, note, at = Date.now()) {
+      const incident = incidents.get(id);
+      if (!incident) return { error: 'not_found' };
+      if (incident.status === 'resolved') return { error: 'already_resolved', incident };
+
+      incident.status = 'resolved';
+      incident.resolvedAt = at;
+      incident.resolvedBy = by;
+      incident.updatedAt = at;
+      if (note) incident.notes.push({ at, by, text: note });
+      onChange(incident);
+      return { incident };
+    },
+  };
+};
@@ -0,0 +1,17 @@
+import nodemailer from 'nodemailer';
+
+// Email over SMTP; any local stand-in such as MailHog or smtp4dev works for testing
+export const createEmailChannel = ({ host, port, secure, user, pass, from }) => {
+  const transport = host
+    ? nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined })
+    : undefined;
+
+  return {
+    name: 'email',
+    configured: Boolean(transport),
+
+    async send(to, message) {
+      await transport.sendMail({ from, to, subject: message.subject, text: message.text });
+    },
+  };
+};
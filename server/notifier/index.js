@@ -0,0 +1,89 @@
+import { createSmsChannel, createWhatsAppChannel } from './twilio.js';
+import { createEmailChannel } from './email.js';
+import { createWebhookChannel } from './webhook.js';
+import { createTelegramChannel } from './telegram.js';
+import { createWebPushChannel } from './webpush.js';
+
+// Channels a configured recipient can list. Web Push addresses are browser subscriptions,
+// which users create from the dashboard rather than the sites file.
+export const CHANNEL_NAMES = ['sms', 'whatsapp', 'email', 'webhook', 'telegram'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const createChannels = ({ twilio, smtp, webhook, telegram, push }) => [
+  createSmsChannel(twilio),
+  createWhatsAppChannel(twilio),
+  createEmailChannel(smtp),
+  createWebhookChannel(webhook),
+  createTelegramChannel(telegram),
+  createWebPushChannel(push),
+];
+
+// Delivers a message to every recipient over each of their preferred channels.
+// Failed sends are retried with exponential backoff unless the channel marks the error
+// `permanent`; every outcome goes to `log`.
+//
+// A message is { siteId, siteName, ruleId, kind, severity, subject, text } where kind is alert,
+// escalation, reminder or recovery; a recipient is
+// { name, channels: ['sms', ...], sms: '+91...', email: '...', ... } (see sites.js).
+export const createNotifier = ({ channels, attempts = 3, baseDelay = 1000, log = async () => {} }) => {
+  const byName = Object.fromEntries(channels.map((channel) => [channel.name, channel]));
+  channels
+    .filter((channel) => !channel.configured)
+    .forEach((channel) => console.warn(`Notification channel "${channel.name}" is not configured; sends will be simulated.`));
+
+  const deliver = async (channel, address, message) => {
+    if (!channel.configured) {
+      console.log(`[SIMULATION] Sending ${channel.name}: "${message.text}" to ${address}`);
+      return { status: 'simulated', attempts: 0 };
+    }
+
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        await channel.send(address, message);
+        console.log(`${channel.name} sent to ${address}: "${message.text}"`);
+        return { status: 'sent', attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        console.error(`Error sending ${channel.name} to ${address} (attempt ${attempt}/${attempts}):`, error.message);
+        if (error.permanent) return { status: 'failed', attempts: attempt, error: error.message };
+        if (attempt < attempts) await sleep(baseDelay * 2 ** (attempt - 1));
+      }
+    }
+    return { status: 'failed', attempts, error: lastError.message };
+  };
+
+  return {
+    async notify(recipients, message) {
+      if (recipients.length === 0) {
+        console.warn(`No recipients configured. Dropping notification: "${message.text}"`);
+        return;
+      }
+
+      const jobs = recipients.flatMap((recipient) => recipient.channels.map((name) => ({ recipient, name })));
+      await Promise.all(jobs.map(async ({ recipient, name }) => {
+        const channel = byName[name];
+        const address = recipient[name];
+        const result = channel && address
+          ? await deliver(channel, address, message)
+          : { status: 'failed', attempts: 0, error: `No ${name} address or channel for ${recipient.name}` };
+
+        try {
+          await log({
+            at: Date.now(),
+            siteId: message.siteId,
+            kind: message.kind,
+            severity: message.severity,
+            recipient: recipient.name,
+            channel: name,
+            address,
+            ...result,
+          });
+        } catch (error) {
+          console.error("Error writing delivery log:", error.message);
+        }
+      }));
+    },
+  };
+};
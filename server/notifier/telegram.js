@@ -0,0 +1,14 @@
+import axios from 'axios';
+
+// Telegram Bot API; the recipient address is the chat id that started a chat with the bot
+export const createTelegramChannel = ({ botToken, timeout = 10000 }) => ({
+  name: 'telegram',
+  configured: Boolean(botToken),
+
+  async send(chatId, message) {
+    await axios.post(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+      chat_id: chatId,
+      text: message.text,
+    }, { timeout });
+  },
+});
@@ -0,0 +1,26 @@
+import twilio from 'twilio';
+
+// SMS and WhatsApp both go through Twilio's Messages API; WhatsApp numbers carry a prefix
+const createTwilioChannel = (name, { accountSid, authToken, fromNumber }, prefix = '') => {
+  const client = accountSid && authToken && fromNumber ? twilio(accountSid, authToken) : undefined;
+
+  return {
+    name,
+    configured: Boolean(client),
+
+    async send(to, message) {
+      await client.messages.create({
+        body: message.text,
+        from: `${prefix}${fromNumber}`,
+        to: `${prefix}${to}`,
+      });
+    },
+  };
+};
+
+export const createSmsChannel = (config) => createTwilioChannel('sms', config);
+
+export const createWhatsAppChannel = (config) => createTwilioChannel('whatsapp', {
+  ...config,
+  fromNumber: config.whatsappNumber,
+}, 'whatsapp:');
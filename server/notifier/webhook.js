@@ -0,0 +1,18 @@
+import crypto from 'node:crypto';
+import axios from 'axios';
+
+// POSTs the full message as JSON to the recipient's URL. With a secret configured the
+// body is signed in X-Sunkalp-Signature (hex HMAC-SHA256) so receivers can verify it.
+export const createWebhookChannel = ({ secret, timeout = 10000 }) => ({
+  name: 'webhook',
+  configured: true,
+
+  async send(url, message) {
+    const body = JSON.stringify(message);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Sunkalp-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+    await axios.post(url, body, { headers, timeout });
+  },
+});
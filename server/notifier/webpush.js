@@ -0,0 +1,38 @@
+import webpush from 'web-push';
+
+// Web Push to dashboards installed as an app. The address is a subscription endpoint; its keys
+// come from `subscriptions`. Push services answer 404 or 410 once a browser unsubscribed, so
+// such subscriptions are dropped through `onGone` instead of being retried.
+export const createWebPushChannel = ({ publicKey, privateKey, subject, subscriptions, onGone = async () => {}, ttl = 24 * 60 * 60 }) => ({
+  name: 'push',
+  configured: Boolean(publicKey && privateKey && subject),
+
+  async send(endpoint, message) {
+    const subscription = subscriptions.get(endpoint);
+    if (!subscription) throw Object.assign(new Error('Subscription no longer exists'), { permanent: true });
+
+    const payload = JSON.stringify({
+      title: message.subject,
+      body: message.text,
+      // The dashboard uses the same tag, so an open tab and a push never show the same alert twice
+      tag: `${message.siteId}:${message.ruleId}`,
+      siteId: message.siteId,
+      kind: message.kind,
+      severity: message.severity,
+    });
+
+    try {
+      await webpush.sendNotification(subscription, payload, {
+        vapidDetails: { subject, publicKey, privateKey },
+        TTL: ttl,
+        urgency: message.severity === 'critical' ? 'high' : 'normal',
+      });
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await onGone(endpoint);
+        throw Object.assign(new Error('Subscription expired or was removed by the browser'), { permanent: true });
+      }
+      throw error;
+    }
+  },
+});
@@ -0,0 +1,46 @@
+// Browsers that asked for Web Push alerts from a site. A subscription belongs to the user who
+// signed in when it was made and only receives pushes while that user can still see the site.
+// One browser can follow several sites; each (endpoint, site) pair is stored once:
+//   { endpoint, keys: { p256dh, auth }, siteId, email, language, createdAt }
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+const validate = (subscription) => {
+  const { endpoint, keys } = subscription || {};
+  if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint)) {
+    throw invalid('subscription.endpoint must be an https URL');
+  }
+  if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+    throw invalid('subscription.keys must include p256dh and auth');
+  }
+};
+
+export const createPushSubscriptions = async ({ store }) => {
+  let subscriptions = await store.loadPushSubscriptions();
+
+  const save = async (next) => {
+    subscriptions = next;
+    await store.savePushSubscriptions(next);
+  };
+
+  return {
+    list: (siteId) => subscriptions.filter((subscription) => subscription.siteId === siteId),
+
+    get: (endpoint) => subscriptions.find((subscription) => subscription.endpoint === endpoint),
+
+    async add(siteId, email, language, subscription, at = Date.now()) {
+      validate(subscription);
+      const { endpoint, keys } = subscription;
+      await save([
+        ...subscriptions.filter((existing) => existing.endpoint !== endpoint || existing.siteId !== siteId),
+        { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, siteId, email, language, createdAt: at },
+      ]);
+    },
+
+    // Drop one site's subscription, or every site's when `siteId` is omitted
+    async remove(endpoint, siteId) {
+      const kept = subscriptions.filter((existing) => existing.endpoint !== endpoint || (siteId && existing.siteId !== siteId));
+      if (kept.length !== subscriptions.length) await save(kept);
+    },
+  };
+};
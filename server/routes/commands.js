@@ -0,0 +1,49 @@
+import express from 'express';
+import { COMMAND_STATUSES } from '../commands.js';
+
+// Remote commands and their log. Sending a command changes equipment in the field, so both
+// reading the log and sending need the operator role, and every send must carry
+// `confirmed: true` from the dashboard's confirmation prompt.
+// `send(site, name, params, origin)` records the command and hands it to the site's channel.
+export const createCommandRouter = ({ sites, commands, send, requireSiteRole }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.param('id', (req, res, next, id) => {
+    req.site = sites().find((site) => site.id === id);
+    if (!req.site || req.roleFor(req.site) === null) {
+      return res.status(404).json({ error: `Unknown site "${id}"` });
+    }
+    next();
+  });
+
+  // GET /api/sites/:id/commands?status= - newest first
+  router.get('/:id/commands', requireSiteRole('operator'), (req, res) => {
+    const { status } = req.query;
+    if (status && !COMMAND_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${COMMAND_STATUSES.join(', ')}` });
+    }
+    res.json(commands.list({ siteId: req.site.id, status }));
+  });
+
+  // POST /api/sites/:id/commands { command, params, confirmed: true }
+  router.post('/:id/commands', requireSiteRole('operator'), async (req, res) => {
+    if (!req.site.control) {
+      return res.status(409).json({ error: 'This site has no command channel configured' });
+    }
+    const { command, params = {}, confirmed } = req.body || {};
+    if (confirmed !== true) {
+      return res.status(400).json({ error: 'Commands must be confirmed before they are sent' });
+    }
+
+    try {
+      res.status(202).json(await send(req.site, command, params, { by: req.user.email }));
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error(`[${req.site.name}] Error sending command:`, error.message);
+      res.status(500).json({ error: 'Failed to send the command' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,80 @@
+import express from 'express';
+import { isLanguage } from '../../shared/i18n.js';
+import { parseBucket, parseTime } from '../history.js';
+import { EXPORT_DATASETS, EXPORT_FORMATS, alertTable, telemetryTable, toCsv } from '../export.js';
+import { toXlsx } from '../xlsx.js';
+
+const DEFAULT_RANGE = 24 * 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Site ids are free text. The quoted filename gets a plain ASCII form every client reads;
+// filename* (RFC 5987) carries the exact name for those that understand it.
+const attachment = (filename) => {
+  const ascii = filename.replace(/[^\w.-]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+};
+
+// Downloads of a site's telemetry and alert history. Anyone who can view a site can export it.
+export const createExportRouter = ({ sites, store, incidents }) => {
+  const router = express.Router();
+
+  router.param('id', (req, res, next, id) => {
+    req.site = sites().find((site) => site.id === id);
+    if (!req.site || req.roleFor(req.site) === null) {
+      return res.status(404).json({ error: `Unknown site "${id}"` });
+    }
+    next();
+  });
+
+  // GET /api/sites/:id/export?format=csv|xlsx&dataset=telemetry|alerts&from=&to=&bucket=1h&language=hi
+  // CSV holds one dataset; a workbook gets a sheet for each.
+  router.get('/:id/export', async (req, res) => {
+    const { site } = req;
+    const format = req.query.format || 'csv';
+    const dataset = req.query.dataset || 'telemetry';
+    const language = req.query.language || site.language;
+    const to = parseTime(req.query.to) ?? Date.now();
+    const from = parseTime(req.query.from) ?? to - DEFAULT_RANGE;
+    const bucket = req.query.bucket ? parseBucket(req.query.bucket) : undefined;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!EXPORT_DATASETS.includes(dataset)) {
+      return res.status(400).json({ error: `dataset must be one of: ${EXPORT_DATASETS.join(', ')}` });
+    }
+    if (!isLanguage(language)) {
+      return res.status(400).json({ error: `Unknown language "${language}"` });
+    }
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds, with from <= to' });
+    }
+    if (req.query.bucket && !bucket) {
+      return res.status(400).json({ error: 'bucket must look like 5m, 1h or 1d' });
+    }
+
+    try {
+      const range = { from, to, bucket };
+      const tables = [];
+      if (format === 'xlsx' || dataset === 'telemetry') tables.push(await telemetryTable(store, site, range, language));
+      if (format === 'xlsx' || dataset === 'alerts') tables.push(alertTable(incidents, site, range, language));
+
+      const day = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+      const name = format === 'xlsx' ? 'history' : dataset;
+      res.set('Content-Type', CONTENT_TYPES[format]);
+      res.set('Content-Disposition', attachment(`${site.id}-${name}-${day(from)}-${day(to)}.${format}`));
+      res.send(format === 'xlsx' ? toXlsx(tables) : toCsv(tables[0]));
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error(`[${site.name}] Error exporting ${dataset}:`, error.message);
+      res.status(500).json({ error: 'Failed to export history' });
+    }
+  });
+
+  return router;
+};
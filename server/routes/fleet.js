@@ -0,0 +1,25 @@
+import express from 'express';
+import { fleetSummary } from '../fleet.js';
+
+// Fleet overview: a status line for every site the signed-in user can see, so the dashboard
+// can list and map them all without fetching each site separately.
+export const createFleetRouter = ({ sites, store, incidents, lastSeen }) => {
+  const router = express.Router();
+
+  // GET /api/fleet
+  router.get('/', async (req, res) => {
+    const now = Date.now();
+    try {
+      const visible = sites().filter((site) => req.roleFor(site) !== null);
+      res.json(await Promise.all(visible.map(async (site) => ({
+        ...await fleetSummary({ site, store, incidents, lastSeen: lastSeen(site.id), now }),
+        role: req.roleFor(site),
+      }))));
+    } catch (error) {
+      console.error("Error building fleet overview:", error.message);
+      res.status(500).json({ error: 'Failed to build the fleet overview' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,71 @@
+import express from 'express';
+import { INCIDENT_STATUSES } from '../incidents.js';
+import { hasRole } from '../access.js';
+
+const ERROR_STATUS = {
+  not_found: 404,
+  already_acknowledged: 409,
+  already_resolved: 409,
+};
+
+const sendResult = (res, { error, incident }) => {
+  if (error) {
+    return res.status(ERROR_STATUS[error] || 400).json({ error, incident });
+  }
+  res.json(incident);
+};
+
+// REST endpoints to list, acknowledge and resolve incidents. Viewers can read the
+// incidents of their sites; acknowledging and resolving needs the operator role.
+// `onResolved` lets the polling loop react to a manual resolve.
+export const createIncidentRouter = ({ incidents, sites, onResolved }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  const roleOn = (req, siteId) => {
+    const site = sites().find(({ id }) => id === siteId);
+    return site ? req.roleFor(site) : null;
+  };
+
+  router.get('/', (req, res) => {
+    const { site, status } = req.query;
+    if (status && !INCIDENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${INCIDENT_STATUSES.join(', ')}` });
+    }
+    res.json(incidents.list({ siteId: site, status }).filter((incident) => roleOn(req, incident.siteId) !== null));
+  });
+
+  // Resolve :id to an incident the user can at least view
+  router.param('id', (req, res, next, id) => {
+    req.incident = incidents.get(id);
+    if (!req.incident || roleOn(req, req.incident.siteId) === null) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    next();
+  });
+
+  const requireOperator = (req, res, next) => {
+    if (!hasRole(roleOn(req, req.incident.siteId), 'operator')) {
+      return res.status(403).json({ error: 'Requires the operator role on this site' });
+    }
+    next();
+  };
+
+  router.get('/:id', (req, res) => {
+    res.json(req.incident);
+  });
+
+  router.post('/:id/acknowledge', requireOperator, (req, res) => {
+    const { note } = req.body || {};
+    sendResult(res, incidents.acknowledge(req.params.id, req.user.email, note));
+  });
+
+  router.post('/:id/resolve', requireOperator, (req, res) => {
+    const { note } = req.body || {};
+    const result = incidents.resolve(req.params.id, req.user.email, note);
+    if (!result.error && onResolved) onResolved(result.incident);
+    sendResult(res, result);
+  });
+
+  return router;
+};
@@ -0,0 +1,53 @@
+import express from 'express';
+import { isLanguage } from '../../shared/i18n.js';
+
+// Web Push subscriptions of the signed-in user's browsers. Anyone who can view a site can have
+// its alerts and recoveries pushed to their phone; `publicKey` is null when push is not set up.
+export const createPushRouter = ({ sites, subscriptions, publicKey }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.param('id', (req, res, next, id) => {
+    req.site = sites().find((site) => site.id === id);
+    if (!req.site || req.roleFor(req.site) === null) {
+      return res.status(404).json({ error: `Unknown site "${id}"` });
+    }
+    next();
+  });
+
+  const subscribed = (siteId, endpoint) => subscriptions.list(siteId).some((subscription) => subscription.endpoint === endpoint);
+
+  // GET /api/sites/:id/push?endpoint= - the server key and whether this browser is subscribed
+  router.get('/:id/push', (req, res) => {
+    res.json({ publicKey: publicKey || null, subscribed: subscribed(req.site.id, req.query.endpoint) });
+  });
+
+  // PUT /api/sites/:id/push { subscription, language } - subscribe this browser
+  router.put('/:id/push', async (req, res) => {
+    if (!publicKey) return res.status(503).json({ error: 'Web Push is not configured on this server' });
+    const { subscription, language = req.site.language } = req.body || {};
+    if (!isLanguage(language)) return res.status(400).json({ error: `Unknown language "${language}"` });
+
+    try {
+      await subscriptions.add(req.site.id, req.user.email, language, subscription);
+      res.json({ publicKey, subscribed: true });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error(`[${req.site.name}] Error saving push subscription:`, error.message);
+      res.status(500).json({ error: 'Failed to save the subscription' });
+    }
+  });
+
+  // DELETE /api/sites/:id/push?endpoint= - stop pushing this site's alerts to a browser
+  router.delete('/:id/push', async (req, res) => {
+    try {
+      await subscriptions.remove(String(req.query.endpoint || ''), req.site.id);
+      res.json({ publicKey: publicKey || null, subscribed: false });
+    } catch (error) {
+      console.error(`[${req.site.name}] Error removing push subscription:`, error.message);
+      res.status(500).json({ error: 'Failed to remove the subscription' });
+    }
+  });
+
+  return router;
+};
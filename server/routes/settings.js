@@ -0,0 +1,53 @@
+import express from 'express';
+import { parseTime } from '../history.js';
+
+const DEFAULT_AUDIT_RANGE = 90 * 24 * 60 * 60 * 1000;
+
+// Site settings and their audit trail; reading and changing them needs the admin role.
+// Saved changes apply to the polling loop straight away.
+export const createSettingsRouter = ({ sites, settings, store, requireSiteRole }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.param('id', (req, res, next, id) => {
+    req.site = sites().find((site) => site.id === id);
+    if (!req.site || req.roleFor(req.site) === null) {
+      return res.status(404).json({ error: `Unknown site "${id}"` });
+    }
+    next();
+  });
+
+  router.get('/:id/settings', requireSiteRole('admin'), (req, res) => {
+    res.json(settings.get(req.site.id));
+  });
+
+  // PUT /api/sites/:id/settings { limits?, cooldown?, pollInterval?, recipients? } - partial update
+  router.put('/:id/settings', requireSiteRole('admin'), async (req, res) => {
+    try {
+      res.json(await settings.update(req.site.id, req.body, req.user.email));
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error(`[${req.site.name}] Error saving settings:`, error.message);
+      res.status(500).json({ error: 'Failed to save settings' });
+    }
+  });
+
+  // GET /api/sites/:id/audit?from=&to= - settings changes, newest first
+  router.get('/:id/audit', requireSiteRole('admin'), async (req, res) => {
+    const to = parseTime(req.query.to) ?? Date.now();
+    const from = parseTime(req.query.from) ?? to - DEFAULT_AUDIT_RANGE;
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds, with from <= to' });
+    }
+
+    try {
+      const entries = await store.readAudit(req.site.id, from, to);
+      res.json(entries.reverse());
+    } catch (error) {
+      console.error(`[${req.site.name}] Error reading audit log:`, error.message);
+      res.status(500).json({ error: 'Failed to read the audit log' });
+    }
+  });
+
+  return router;
+};
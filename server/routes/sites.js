@@ -0,0 +1,219 @@
+import express from 'express';
+import { AGGREGATES, parseBucket, parseTime, queryTelemetry } from '../history.js';
+import { isOnline, measureUptime } from '../heartbeat.js';
+import { PERIODS, defaultFrom, energyReport, periodKey, periodStart } from '../energy.js';
+import { DAY } from '../store.js';
+
+const DEFAULT_RANGE = 24 * 60 * 60 * 1000;
+
+// Averaging windows (minutes) ThingSpeak accepts; the store honours the same set
+const AVERAGES = [10, 15, 20, 30, 60, 240, 720, 1440];
+const MAX_RESULTS = 8000;
+
+// Windows the uptime percentage is reported over
+const UPTIME_WINDOWS = { '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000, '30d': 30 * 24 * 60 * 60 * 1000 };
+
+// Public view of a site: never includes source credentials or recipients
+export const describeSite = (site) => ({
+  id: site.id,
+  name: site.name,
+  timezone: site.timezone,
+  language: site.language,
+  offlineAfter: site.offlineAfter,
+  location: site.location,
+  energy: site.energy,
+  battery: site.battery,
+  // Whether the site takes remote commands, and which rules send them by themselves
+  control: site.control && { type: site.control.type, ackTimeout: site.control.ackTimeout, actions: site.control.actions },
+  limits: site.limits,
+  rules: site.rules,
+  channels: site.channels.map(({ metric, unit, precision, label }) => ({ metric, unit, precision, label })),
+});
+
+// Site listing, dashboard feeds and historical telemetry queries.
+// Sites the signed-in user has no role on are reported as unknown.
+export const createSiteRouter = ({ sites, store, feedProxy, events, lastSeen, anomalies, battery, forecaster, requireSiteRole }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json(sites()
+      .filter((site) => req.roleFor(site) !== null)
+      .map((site) => ({ ...describeSite(site), role: req.roleFor(site) })));
+  });
+
+  router.param('id', (req, res, next, id) => {
+    req.site = sites().find((site) => site.id === id);
+    if (!req.site || req.roleFor(req.site) === null) {
+      return res.status(404).json({ error: `Unknown site "${id}"` });
+    }
+    next();
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json({ ...describeSite(req.site), role: req.roleFor(req.site) });
+  });
+
+  // GET /api/sites/:id/feed?results=15, or ?from=&to=&average=60 for a window.
+  // Mirrors ThingSpeak's feeds.json so the dashboard never needs channel keys.
+  router.get('/:id/feed', async (req, res) => {
+    const { site } = req;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to) ?? Date.now();
+    const results = req.query.results ? Number(req.query.results) : 15;
+    const average = req.query.average ? Number(req.query.average) : undefined;
+
+    if (Number.isNaN(from) || Number.isNaN(to) || (from !== undefined && from > to)) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds, with from <= to' });
+    }
+    if (!Number.isInteger(results) || results < 1 || results > MAX_RESULTS) {
+      return res.status(400).json({ error: `results must be between 1 and ${MAX_RESULTS}` });
+    }
+    if (average !== undefined && !AVERAGES.includes(average)) {
+      return res.status(400).json({ error: `average must be one of: ${AVERAGES.join(', ')}` });
+    }
+
+    try {
+      const points = await feedProxy.feed(site, { results, from, to, average });
+      res.json({ site: site.id, points });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error(`[${site.name}] Error proxying feed:`, error.message);
+      res.status(502).json({ error: 'Failed to fetch telemetry for this site' });
+    }
+  });
+
+  // GET /api/sites/:id/events - live samples and incident changes as server-sent events
+  router.get('/:id/events', (req, res) => {
+    events.subscribe(req.site.id, req, res, req.sessionExpiresAt, req.roleFor(req.site));
+  });
+
+  // GET /api/sites/:id/status - connectivity (last sample time, online now, uptime share per
+  // window), active findings the dashboard cannot work out itself (soiling, shading, low
+  // battery autonomy), the learned light and power profile and the battery estimate
+  router.get('/:id/status', async (req, res) => {
+    const { site } = req;
+    const now = Date.now();
+    const seen = lastSeen(site.id);
+    const detector = anomalies(site.id);
+    const bank = battery(site.id);
+
+    try {
+      const uptime = {};
+      for (const [window, span] of Object.entries(UPTIME_WINDOWS)) {
+        uptime[window] = await measureUptime(store, site.id, { from: now - span, to: now, offlineAfter: site.offlineAfter });
+      }
+      res.json({
+        site: site.id,
+        lastSeen: seen,
+        online: isOnline(seen, site.offlineAfter, now),
+        offlineAfter: site.offlineAfter,
+        uptime,
+        findings: [...(detector?.findings() ?? []), ...(bank?.alerts ?? [])],
+        profile: detector?.profile() ?? null,
+        battery: bank?.estimate ?? null,
+      });
+    } catch (error) {
+      console.error(`[${site.name}] Error computing uptime:`, error.message);
+      res.status(500).json({ error: 'Failed to read site status' });
+    }
+  });
+
+  // GET /api/sites/:id/energy?period=day|week|month&from=&to= - yield, peak power,
+  // performance ratio and savings per local day, week or month
+  router.get('/:id/energy', async (req, res) => {
+    const { site } = req;
+    const period = req.query.period || 'day';
+    if (!PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+    }
+
+    const to = parseTime(req.query.to) ?? Date.now();
+    const from = parseTime(req.query.from) ?? defaultFrom(period, to, site.timezone);
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds, with from <= to' });
+    }
+
+    try {
+      res.json(await energyReport(store, site, { from, to, period }));
+    } catch (error) {
+      console.error(`[${site.name}] Error computing energy report:`, error.message);
+      res.status(500).json({ error: 'Failed to compute the energy report' });
+    }
+  });
+
+  // GET /api/sites/:id/forecast?from=&to= - expected and clear-sky power over the window
+  // (by default from now to the end of tomorrow) and tomorrow's expected energy
+  router.get('/:id/forecast', async (req, res) => {
+    const { site } = req;
+    const now = Date.now();
+    const from = parseTime(req.query.from) ?? now;
+    const dayAfter = new Date(Date.parse(periodKey(now, 'day', site.timezone)) + 2 * DAY).toISOString().slice(0, 10);
+    const to = parseTime(req.query.to) ?? periodStart(dayAfter, site.timezone);
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds, with from <= to' });
+    }
+
+    try {
+      res.json(await forecaster.forecast(site, { from, to, now }));
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error(`[${site.name}] Error forecasting generation:`, error.message);
+      res.status(500).json({ error: 'Failed to forecast generation' });
+    }
+  });
+
+  // GET /api/sites/:id/deliveries?from=&to= - notification delivery log, newest first
+  router.get('/:id/deliveries', requireSiteRole('operator'), async (req, res) => {
+    const to = parseTime(req.query.to) ?? Date.now();
+    const from = parseTime(req.query.from) ?? to - DEFAULT_RANGE;
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds, with from <= to' });
+    }
+
+    try {
+      const deliveries = await store.readDeliveries(req.site.id, from, to);
+      res.json(deliveries.reverse());
+    } catch (error) {
+      console.error(`[${req.site.name}] Error reading delivery log:`, error.message);
+      res.status(500).json({ error: 'Failed to read the delivery log' });
+    }
+  });
+
+  // GET /api/sites/:id/telemetry?from=&to=&metric=voltage,humidity&bucket=1h&agg=avg
+  router.get('/:id/telemetry', async (req, res) => {
+    const { site } = req;
+    const to = parseTime(req.query.to) ?? Date.now();
+    const from = parseTime(req.query.from) ?? to - DEFAULT_RANGE;
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be ISO dates or epoch milliseconds, with from <= to' });
+    }
+
+    const known = site.channels.map((channel) => channel.metric);
+    const metrics = req.query.metric ? String(req.query.metric).split(',') : known;
+    const unknown = metrics.filter((metric) => !known.includes(metric));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown metric(s): ${unknown.join(', ')}` });
+    }
+
+    const bucket = req.query.bucket ? parseBucket(req.query.bucket) : undefined;
+    if (req.query.bucket && !bucket) {
+      return res.status(400).json({ error: 'bucket must look like 5m, 1h or 1d' });
+    }
+
+    const agg = req.query.agg || 'avg';
+    if (!AGGREGATES.includes(agg)) {
+      return res.status(400).json({ error: `agg must be one of: ${AGGREGATES.join(', ')}` });
+    }
+
+    try {
+      const points = await queryTelemetry(store, site.id, { from, to, metrics, bucket, agg });
+      res.json({ site: site.id, from, to, bucket: req.query.bucket || null, agg, metrics, points });
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ error: error.message });
+      console.error(`[${site.name}] Error querying telemetry:`, error.message);
+      res.status(500).json({ error: 'Failed to read telemetry history' });
+    }
+  });
+
+  return router;
+};
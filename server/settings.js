@@ -0,0 +1,112 @@
+import { buildSites } from './sites.js';
+
+// Site settings admins can change from the dashboard. Overrides are kept in the
+// history store, layered over the sites file on every start, and every change is
+// written to the audit log with who made it.
+export const EDITABLE_SETTINGS = ['limits', 'cooldown', 'pollInterval', 'offlineAfter', 'recipients'];
+export const MIN_POLL_INTERVAL = 10 * 1000;
+export const MIN_OFFLINE_AFTER = 60 * 1000;
+
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+// `limitNames` are the limits the site has; others would be saved but never checked
+const validate = (changes, limitNames) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw invalid('Settings must be a JSON object');
+  }
+
+  const unknown = Object.keys(changes).filter((key) => !EDITABLE_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    throw invalid(`Unknown setting(s): ${unknown.join(', ')}. Editable: ${EDITABLE_SETTINGS.join(', ')}`);
+  }
+
+  const { limits, cooldown, pollInterval, offlineAfter, recipients } = changes;
+  if (limits !== undefined) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) throw invalid('limits must be an object');
+    const bad = Object.entries(limits).filter(([, value]) => typeof value !== 'number' || !Number.isFinite(value));
+    if (bad.length > 0) throw invalid(`limits must be numbers: ${bad.map(([key]) => key).join(', ')}`);
+    const unknownLimits = Object.keys(limits).filter((key) => !limitNames.includes(key));
+    if (unknownLimits.length > 0) {
+      throw invalid(`Unknown limit(s): ${unknownLimits.join(', ')}. Expected: ${limitNames.join(', ')}`);
+    }
+  }
+  if (cooldown !== undefined && !isNonNegativeInteger(cooldown)) {
+    throw invalid('cooldown must be a whole number of milliseconds, 0 or more');
+  }
+  if (pollInterval !== undefined && !(isNonNegativeInteger(pollInterval) && pollInterval >= MIN_POLL_INTERVAL)) {
+    throw invalid(`pollInterval must be a whole number of milliseconds, at least ${MIN_POLL_INTERVAL}`);
+  }
+  if (offlineAfter !== undefined && !(isNonNegativeInteger(offlineAfter) && offlineAfter >= MIN_OFFLINE_AFTER)) {
+    throw invalid(`offlineAfter must be a whole number of milliseconds, at least ${MIN_OFFLINE_AFTER}`);
+  }
+  if (recipients !== undefined && !Array.isArray(recipients)) {
+    throw invalid('recipients must be an array');
+  }
+};
+
+const pick = (site) => Object.fromEntries(EDITABLE_SETTINGS.map((key) => [key, site[key]]));
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// `definitions` are the raw site definitions; `onChange` receives the rebuilt sites after every update
+export const createSiteSettings = async ({ store, definitions, defaults, onChange = () => {} }) => {
+  let overrides = await store.loadSettings();
+  let sites;
+  try {
+    sites = buildSites(definitions, defaults, overrides);
+  } catch (error) {
+    // The sites file may have changed under the saved overrides; start from the file alone
+    console.error("Ignoring saved site settings:", error.message);
+    overrides = {};
+    sites = buildSites(definitions, defaults);
+  }
+
+  // Apply a partial update, persist it and record the fields that actually changed. Limits
+  // merge one by one, so changing one keeps the others saved earlier.
+  const applyUpdate = async (siteId, changes, by, at = Date.now()) => {
+    const current = sites.find(({ id }) => id === siteId);
+    validate(changes, Object.keys(current.limits));
+    const saved = overrides[siteId] || {};
+    const merged = changes.limits === undefined ? changes : { ...changes, limits: { ...saved.limits, ...changes.limits } };
+    const next = { ...overrides, [siteId]: { ...saved, ...merged } };
+
+    let rebuilt;
+    try {
+      rebuilt = buildSites(definitions, defaults, next);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+
+    const updated = rebuilt.find(({ id }) => id === siteId);
+    const diff = Object.fromEntries(Object.keys(changes)
+      .filter((key) => !same(current[key], updated[key]))
+      .map((key) => [key, { from: current[key], to: updated[key] }]));
+    if (Object.keys(diff).length === 0) return pick(updated);
+
+    await store.saveSettings(next);
+    overrides = next;
+    sites = rebuilt;
+    await store.appendAudit({ at, siteId, by, changes: diff });
+    onChange(sites);
+    return pick(updated);
+  };
+  let queue = Promise.resolve();
+
+  return {
+    sites: () => sites,
+
+    get(siteId) {
+      const site = sites.find(({ id }) => id === siteId);
+      return site ? pick(site) : undefined;
+    },
+
+    // Updates run one at a time so concurrent saves cannot overwrite each other
+    update(...args) {
+      const run = queue.then(() => applyUpdate(...args));
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+};
@@ -0,0 +1,229 @@
+import fs from 'node:fs';
+import { DEFAULT_CHANNELS, normalizeChannels } from '../shared/channels.js';
+import { DEFAULT_RULES, DEFAULT_TIMEZONE } from '../shared/rules.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, isLanguage } from '../shared/i18n.js';
+import { normalizeAccess } from './access.js';
+import { normalizeEnergy } from './energy.js';
+import { normalizeBattery } from './battery.js';
+import { normalizeEscalation } from './escalation.js';
+import { normalizeControl } from './control/index.js';
+import { CHANNEL_NAMES } from './notifier/index.js';
+
+// Strings of the form "env:NAME" are replaced with process.env.NAME so API keys
+// and phone numbers can stay out of the sites file.
+const resolveEnv = (value, env) => {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    return env[value.slice(4)];
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item, env)]));
+  }
+  return value;
+};
+
+const splitList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+// Single site described by the original environment variables, used when no SITES_FILE is set
+const siteFromEnv = (env) => {
+  const type = env.TELEMETRY_SOURCE || 'thingspeak';
+  const sourceOptions = {
+    thingspeak: {
+      channelId: env.THINGSPEAK_CHANNEL_ID,
+      apiKey: env.THINGSPEAK_API_KEY,
+    },
+    mqtt: {
+      url: env.MQTT_URL,
+      topic: env.MQTT_TOPIC,
+      username: env.MQTT_USERNAME,
+      password: env.MQTT_PASSWORD,
+    },
+    http: {
+      path: env.HTTP_PUSH_PATH || '/api/telemetry',
+      token: env.HTTP_PUSH_TOKEN,
+    },
+    replay: {
+      file: env.REPLAY_FILE,
+      loop: env.REPLAY_LOOP === 'true',
+    },
+  };
+
+  const controlOptions = {
+    talkback: {
+      talkbackId: env.TALKBACK_ID,
+      apiKey: env.TALKBACK_API_KEY,
+    },
+    mqtt: {
+      url: env.CONTROL_MQTT_URL || env.MQTT_URL,
+      topic: env.CONTROL_MQTT_TOPIC,
+      username: env.MQTT_USERNAME,
+      password: env.MQTT_PASSWORD,
+    },
+  };
+  const controlType = env.CONTROL_CHANNEL;
+
+  return {
+    id: 'default',
+    name: env.SITE_NAME || 'Main Site',
+    language: env.SITE_LANGUAGE,
+    source: { type, ...sourceOptions[type] },
+    recipients: splitList(env.TARGET_PHONE_NUMBER),
+    location: {
+      lat: env.SITE_LATITUDE,
+      lon: env.SITE_LONGITUDE,
+      place: env.SITE_PLACE,
+    },
+    control: controlType && {
+      type: controlType,
+      ...controlOptions[controlType],
+      // Shed load while the voltage is over its limit, and bring it back once it is normal
+      actions: env.SHED_LOAD_ON_HIGH_VOLTAGE === 'true'
+        ? [{ rule: 'voltage', command: 'shedLoad', recovery: { command: 'restoreLoad' } }]
+        : [],
+    },
+    energy: {
+      capacity: env.SITE_CAPACITY_WATTS,
+      tariff: env.ENERGY_TARIFF,
+      currency: env.ENERGY_CURRENCY,
+      co2Factor: env.GRID_CO2_FACTOR,
+      tilt: env.PANEL_TILT,
+      azimuth: env.PANEL_AZIMUTH,
+    },
+    battery: {
+      capacity: env.BATTERY_CAPACITY_AH,
+      voltage: env.BATTERY_VOLTAGE,
+      chemistry: env.BATTERY_CHEMISTRY,
+      minSoc: env.BATTERY_MIN_SOC,
+    },
+    access: {
+      domains: splitList(env.ALLOWED_EMAIL_DOMAINS),
+      viewers: splitList(env.VIEWER_EMAILS),
+      operators: splitList(env.OPERATOR_EMAILS),
+    },
+  };
+};
+
+const checkLanguage = (language, owner) => {
+  if (!isLanguage(language)) {
+    throw new Error(`Unknown language "${language}" for ${owner}; expected one of ${LANGUAGES.map(({ code }) => code).join(', ')}`);
+  }
+  return language;
+};
+
+// A bare string is a phone number for SMS. Objects list an address per channel and may
+// name the channels they prefer; by default every channel with an address is used.
+// Recipients get messages in their own `language`, or the site's when they have none.
+const normalizeRecipient = (recipient, language) => {
+  if (typeof recipient === 'string') {
+    return { name: recipient, sms: recipient, channels: ['sms'], language };
+  }
+
+  const channels = recipient.channels || CHANNEL_NAMES.filter((name) => recipient[name]);
+  const unknown = channels.filter((name) => !CHANNEL_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notification channel(s) ${unknown.join(', ')} for recipient ${JSON.stringify(recipient)}`);
+  }
+
+  const name = recipient.name || CHANNEL_NAMES.map((channel) => recipient[channel]).find(Boolean);
+  return { ...recipient, name, channels, language: checkLanguage(recipient.language || language, `recipient "${name}"`) };
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Where a site is on the fleet map: { lat, lon } in decimal degrees and an optional place
+// name. Sites without coordinates are listed but not drawn.
+const normalizeLocation = (location) => {
+  if (!location || (isBlank(location.lat) && isBlank(location.lon))) return null;
+  const lat = Number(location.lat);
+  const lon = Number(location.lon);
+  if (isBlank(location.lat) || isBlank(location.lon) || !(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) {
+    throw new Error('location needs both lat (-90 to 90) and lon (-180 to 180)');
+  }
+  return { lat, lon, place: location.place || null };
+};
+
+const normalizeSite = (site, defaults) => {
+  if (!site.id) {
+    throw new Error(`Site definition is missing an "id": ${JSON.stringify(site)}`);
+  }
+
+  const source = { type: 'thingspeak', ...site.source };
+  if (source.type === 'http' && !source.path) {
+    source.path = `/api/telemetry/${encodeURIComponent(site.id)}`;
+  }
+
+  const language = checkLanguage(site.language || DEFAULT_LANGUAGE, `site "${site.id}"`);
+  const recipients = (Array.isArray(site.recipients) ? site.recipients : splitList(site.recipients))
+    .map((recipient) => normalizeRecipient(recipient, language));
+  let escalation;
+  let energy;
+  let battery;
+  let location;
+  let control;
+  try {
+    escalation = normalizeEscalation(site.escalation, recipients);
+    energy = normalizeEnergy(site.energy);
+    battery = normalizeBattery(site.battery);
+    location = normalizeLocation(site.location);
+    control = normalizeControl(site.control);
+  } catch (error) {
+    throw new Error(`Site "${site.id}": ${error.message}`);
+  }
+
+  return {
+    ...site,
+    name: site.name || site.id,
+    source,
+    channels: normalizeChannels(site.channels || DEFAULT_CHANNELS),
+    limits: { ...defaults.limits, ...site.limits },
+    rules: site.rules || DEFAULT_RULES,
+    timezone: site.timezone || DEFAULT_TIMEZONE,
+    language,
+    cooldown: site.cooldown ?? defaults.cooldown,
+    pollInterval: site.pollInterval ?? defaults.checkInterval,
+    offlineAfter: site.offlineAfter ?? defaults.offlineAfter,
+    recipients,
+    escalation,
+    energy,
+    battery,
+    location,
+    control,
+    access: normalizeAccess(site.access),
+  };
+};
+
+// Emails that administer every site, from ADMIN_EMAILS
+export const loadAdmins = (env = process.env) => splitList(env.ADMIN_EMAILS).map((email) => email.toLowerCase());
+
+// Raw site definitions from SITES_FILE (a JSON array) or the env-configured site
+export const readSiteDefinitions = (env = process.env) => {
+  const sites = env.SITES_FILE
+    ? resolveEnv(JSON.parse(fs.readFileSync(env.SITES_FILE, 'utf8')), env)
+    : [siteFromEnv(env)];
+
+  if (!Array.isArray(sites) || sites.length === 0) {
+    throw new Error(`${env.SITES_FILE} must contain a non-empty JSON array of sites`);
+  }
+  return sites;
+};
+
+// Normalize site definitions, layering `settings` (per-site overrides keyed by id,
+// edited from the dashboard) over what the definitions say
+export const buildSites = (definitions, defaults, settings = {}) => {
+  const ids = new Set();
+  return definitions.map((definition) => {
+    const overrides = settings[definition.id] || {};
+    const normalized = normalizeSite({
+      ...definition,
+      ...overrides,
+      limits: { ...definition.limits, ...overrides.limits },
+    }, defaults);
+    if (ids.has(normalized.id)) {
+      throw new Error(`Duplicate site id "${normalized.id}"`);
+    }
+    ids.add(normalized.id);
+    return normalized;
+  });
+};
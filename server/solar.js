@@ -0,0 +1,60 @@
+import { DAY } from './store.js';
+
+// Where the sun is and how much sunlight a clear sky lets through, from the date and place
+// alone, so the forecast needs no network. Solar position uses NOAA's general solar position
+// equations (good to a fraction of a degree); clear-sky irradiance uses Meinel's model with
+// the Kasten-Young air mass and a fixed 10% diffuse share. Irradiance is in W/m².
+
+const RAD = Math.PI / 180;
+// Extraterrestrial irradiance used by Meinel's model
+const SOLAR_CONSTANT = 1353;
+// Share of the sunlight reflected by the ground onto tilted panels
+const ALBEDO = 0.2;
+
+// { zenith, azimuth } in degrees; azimuth is clockwise from north
+export const sunPosition = (timestamp, lat, lon) => {
+  const date = new Date(timestamp);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+  const gamma = ((2 * Math.PI) / 365) * (Math.floor((timestamp - yearStart) / DAY) + (minutes / 60 - 12) / 24);
+
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+    - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+    - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+    - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const solarMinutes = minutes + equationOfTime + 4 * lon;
+  const hourAngle = (solarMinutes / 4 - 180) * RAD;
+  const latitude = lat * RAD;
+
+  const cosZenith = Math.sin(latitude) * Math.sin(declination) + Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle);
+  const zenith = Math.acos(Math.min(1, Math.max(-1, cosZenith))) / RAD;
+  const azimuth = (Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(latitude) - Math.tan(declination) * Math.cos(latitude)) / RAD + 540) % 360;
+  return { zenith, azimuth };
+};
+
+// Direct normal, diffuse and global horizontal irradiance under a clear sky
+export const clearSky = (zenith) => {
+  if (zenith >= 90) return { dni: 0, dhi: 0, ghi: 0 };
+  const cosZenith = Math.cos(zenith * RAD);
+  const airMass = 1 / (cosZenith + 0.50572 * (96.07995 - zenith) ** -1.6364);
+  const dni = SOLAR_CONSTANT * 0.7 ** (airMass ** 0.678);
+  const dhi = 0.1 * dni;
+  return { dni, dhi, ghi: dni * cosZenith + dhi };
+};
+
+// Clear-sky irradiance on panels tilted `tilt` degrees and facing `azimuth`, plus the
+// horizontal value the light sensor compares against
+export const clearSkyIrradiance = (timestamp, { lat, lon, tilt, azimuth }) => {
+  const sun = sunPosition(timestamp, lat, lon);
+  const { dni, dhi, ghi } = clearSky(sun.zenith);
+  if (ghi === 0) return { poa: 0, ghi: 0 };
+
+  const cosIncidence = Math.cos(sun.zenith * RAD) * Math.cos(tilt * RAD)
+    + Math.sin(sun.zenith * RAD) * Math.sin(tilt * RAD) * Math.cos((sun.azimuth - azimuth) * RAD);
+  const poa = dni * Math.max(0, cosIncidence)
+    + dhi * (1 + Math.cos(tilt * RAD)) / 2
+    + ghi * ALBEDO * (1 - Math.cos(tilt * RAD)) / 2;
+  return { poa, ghi };
+};
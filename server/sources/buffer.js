@@ -0,0 +1,19 @@
+// Bounded FIFO used by push-style sources (MQTT, HTTP) to hold samples between polls
+export const createSampleBuffer = (limit = 1000) => {
+  let samples = [];
+
+  return {
+    push(sample) {
+      samples.push(sample);
+      if (samples.length > limit) {
+        samples = samples.slice(samples.length - limit);
+      }
+    },
+
+    drain() {
+      const drained = samples;
+      samples = [];
+      return drained;
+    },
+  };
+};
@@ -0,0 +1,35 @@
+import express from 'express';
+import { toSample } from '../../shared/telemetry.js';
+import { createSampleBuffer } from './buffer.js';
+
+// Accepts samples POSTed by field gateways as a JSON object or an array of objects
+export const createHttpPushSource = ({ app, path, token, bufferSize }) => {
+  const buffer = createSampleBuffer(bufferSize);
+
+  return {
+    name: 'http',
+
+    start() {
+      app.post(path, express.json({ limit: '1mb' }), (req, res) => {
+        if (token && req.get('authorization') !== `Bearer ${token}`) {
+          return res.status(401).json({ error: 'Invalid push token' });
+        }
+
+        const records = Array.isArray(req.body) ? req.body : [req.body];
+        if (records.some((record) => !record || typeof record !== 'object')) {
+          return res.status(400).json({ error: 'Expected a JSON object or array of objects' });
+        }
+
+        records.forEach((record) => buffer.push(toSample(record)));
+        res.status(202).json({ accepted: records.length });
+      });
+      console.log(`Accepting pushed telemetry on POST ${path}`);
+    },
+
+    stop() {},
+
+    async read() {
+      return buffer.drain();
+    },
+  };
+};
@@ -0,0 +1,21 @@
+import { createThingSpeakSource } from './thingspeak.js';
+import { createMqttSource } from './mqtt.js';
+import { createHttpPushSource } from './httpPush.js';
+import { createReplaySource } from './replay.js';
+
+// Every source exposes start(), stop() and read(); read() resolves to the
+// samples that arrived since the previous call, oldest first.
+const FACTORIES = {
+  thingspeak: createThingSpeakSource,
+  mqtt: createMqttSource,
+  http: createHttpPushSource,
+  replay: createReplaySource,
+};
+
+export const createTelemetrySource = (type, options) => {
+  const factory = FACTORIES[type];
+  if (!factory) {
+    throw new Error(`Unknown telemetry source "${type}". Expected one of: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+  return factory(options);
+};
@@ -0,0 +1,50 @@
+import mqtt from 'mqtt';
+import { toSample } from '../../shared/telemetry.js';
+import { createSampleBuffer } from './buffer.js';
+
+// Subscribes to an MQTT topic carrying JSON payloads such as
+// {"created_at": "...", "field1": 12.4, "field2": 830}
+export const createMqttSource = ({ url, topic, username, password, bufferSize }) => {
+  const buffer = createSampleBuffer(bufferSize);
+  let client;
+
+  const handleMessage = (messageTopic, payload) => {
+    try {
+      const record = JSON.parse(payload.toString());
+      const records = Array.isArray(record) ? record : [record];
+      records.forEach((entry) => buffer.push(toSample(entry)));
+    } catch (error) {
+      console.error(`Ignoring malformed MQTT payload on ${messageTopic}:`, error.message);
+    }
+  };
+
+  return {
+    name: 'mqtt',
+
+    start() {
+      if (!url || !topic) {
+        console.warn("MQTT broker URL or topic missing. MQTT source will not receive data.");
+        return;
+      }
+
+      client = mqtt.connect(url, { username, password });
+      client.on('connect', () => {
+        console.log(`Connected to MQTT broker ${url}`);
+        client.subscribe(topic, (error) => {
+          if (error) console.error(`Error subscribing to ${topic}:`, error.message);
+        });
+      });
+      client.on('message', handleMessage);
+      client.on('error', (error) => console.error("MQTT error:", error.message));
+    },
+
+    stop() {
+      if (client) client.end();
+      client = undefined;
+    },
+
+    async read() {
+      return buffer.drain();
+    },
+  };
+};
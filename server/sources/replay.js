@@ -0,0 +1,54 @@
+import fs from 'node:fs/promises';
+import nodePath from 'node:path';
+import { toSample } from '../../shared/telemetry.js';
+
+// Minimal CSV parsing for ThingSpeak exports (no quoted commas in numeric feeds)
+const parseCsv = (text) => {
+  const [header, ...rows] = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (!header) return [];
+  const columns = header.split(',').map((column) => column.trim());
+  return rows.map((row) => {
+    const values = row.split(',');
+    return Object.fromEntries(columns.map((column, i) => [column, values[i]?.trim()]));
+  });
+};
+
+const parseJsonl = (text) => text
+  .split(/\r?\n/)
+  .filter((line) => line.trim() !== '')
+  .map((line) => JSON.parse(line));
+
+// Replays a recorded CSV (ThingSpeak export format) or JSONL file, one record per read
+export const createReplaySource = ({ file, loop = false }) => {
+  let records = [];
+  let position = 0;
+
+  return {
+    name: 'replay',
+
+    async start() {
+      if (!file) {
+        console.warn("Replay file not configured. Replay source will not produce data.");
+        return;
+      }
+
+      const text = await fs.readFile(file, 'utf8');
+      records = nodePath.extname(file).toLowerCase() === '.csv' ? parseCsv(text) : parseJsonl(text);
+      position = 0;
+      console.log(`Loaded ${records.length} records for replay from ${file}`);
+    },
+
+    stop() {},
+
+    async read() {
+      if (position >= records.length) {
+        if (!loop || records.length === 0) return [];
+        position = 0;
+      }
+
+      // Replayed records are stamped with the current time so they look live downstream
+      const record = records[position++];
+      return [{ ...toSample(record), timestamp: Date.now() }];
+    },
+  };
+};
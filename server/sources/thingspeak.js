@@ -0,0 +1,28 @@
+import axios from 'axios';
+import { buildFeedsUrl, samplesFromFeeds } from '../../shared/telemetry.js';
+
+// Polls the latest entries of a ThingSpeak channel over its REST API. Each read
+// fetches a small window and returns only entries newer than the previous read,
+// so samples written between polls are not lost.
+export const createThingSpeakSource = ({ channelId, apiKey, results = 20 }) => {
+  let lastTimestamp = 0;
+
+  return {
+    name: 'thingspeak',
+
+    start() {},
+    stop() {},
+
+    async read() {
+      if (!channelId || !apiKey) {
+        console.log("ThingSpeak credentials missing. Skipping check.");
+        return [];
+      }
+
+      const response = await axios.get(buildFeedsUrl({ channelId, apiKey, results }));
+      const samples = samplesFromFeeds(response.data).filter((sample) => sample.timestamp > lastTimestamp);
+      if (samples.length > 0) lastTimestamp = samples[samples.length - 1].timestamp;
+      return samples;
+    },
+  };
+};
@@ -0,0 +1,341 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// File-based history store. Layout under `dir`:
+//   samples/<site>/<YYYY-MM-DD>.jsonl  raw samples, one { timestamp, metrics, fields } per line
+//   rollups/<site>/<YYYY-MM>.jsonl     hourly { timestamp, count, metrics: { m: { avg, min, max } } }
+//   deliveries/<site>/<YYYY-MM-DD>.jsonl notification delivery log
+//   audit/<site>/<YYYY-MM>.jsonl       settings changes made from the dashboard, kept indefinitely
+//   incidents.jsonl                    incident snapshots, the last line per id wins
+//   commands.jsonl                     remote command snapshots with their history, likewise
+//   settings.json                      per-site setting overrides
+//   push.json                          browsers subscribed to Web Push alerts
+//   battery.json                       per-site battery model state, saved hourly
+//
+// Raw days older than the raw retention are folded into hourly rollups and deleted;
+// rollups, delivery logs, resolved incidents and finished commands are dropped once they
+// pass their own retention.
+
+export const HOUR = 60 * 60 * 1000;
+export const DAY = 24 * HOUR;
+
+const dayKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+const monthKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 7);
+
+const readJsonl = async (file) => {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A torn final line after a crash is skipped rather than failing the whole file
+    }
+  }
+  return records;
+};
+
+const listFiles = async (dir) => {
+  try {
+    return (await fs.readdir(dir)).filter((name) => name.endsWith('.jsonl')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+const appendJsonl = (file, records) => fs.appendFile(file, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+
+// Aggregate raw samples into hourly buckets
+const rollUp = (samples) => {
+  const buckets = new Map();
+  for (const sample of samples) {
+    const start = Math.floor(sample.timestamp / HOUR) * HOUR;
+    if (!buckets.has(start)) buckets.set(start, { timestamp: start, count: 0, sums: {}, metrics: {} });
+    const bucket = buckets.get(start);
+    bucket.count += 1;
+
+    for (const [metric, value] of Object.entries(sample.metrics)) {
+      if (typeof value !== 'number' || Number.isNaN(value)) continue;
+      const stats = bucket.metrics[metric] || { min: value, max: value, n: 0 };
+      stats.min = Math.min(stats.min, value);
+      stats.max = Math.max(stats.max, value);
+      stats.n += 1;
+      bucket.sums[metric] = (bucket.sums[metric] || 0) + value;
+      bucket.metrics[metric] = stats;
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ timestamp, count, sums, metrics }) => ({
+      timestamp,
+      count,
+      metrics: Object.fromEntries(Object.entries(metrics).map(([metric, { min, max, n }]) => [
+        metric,
+        { avg: sums[metric] / n, min, max },
+      ])),
+    }));
+};
+
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+// Replace a JSON file atomically so a crash never leaves it half-written
+const writeJson = async (file, value) => {
+  const temp = `${file}.tmp`;
+  await fs.writeFile(temp, `${JSON.stringify(value, null, 2)}\n`);
+  await fs.rename(temp, file);
+};
+
+// A JSONL file of snapshots keyed by id, where the last line per id wins. Appends and
+// compaction share the file, so they run one at a time.
+const createSnapshotLog = (file) => {
+  let writes = Promise.resolve();
+  const exclusive = (task) => {
+    const run = writes.then(task);
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  const load = async () => {
+    const latest = new Map();
+    for (const snapshot of await readJsonl(file)) latest.set(snapshot.id, snapshot);
+    return [...latest.values()];
+  };
+
+  return {
+    load,
+
+    append: (snapshot) => exclusive(() => appendJsonl(file, [snapshot])),
+
+    // Rewrite the file with one line per id, keeping only snapshots that pass `keep`
+    compact: (keep) => exclusive(async () => {
+      const kept = (await load()).filter(keep);
+      const temp = `${file}.tmp`;
+      await fs.writeFile(temp, kept.map((snapshot) => `${JSON.stringify(snapshot)}\n`).join(''));
+      await fs.rename(temp, file);
+    }),
+  };
+};
+
+export const createStore = ({
+  dir,
+  rawRetentionDays = 30,
+  rollupRetentionDays = 730,
+  incidentRetentionDays = 365,
+  commandRetentionDays = 365,
+  deliveryRetentionDays = 90,
+}) => {
+  const siteDir = (kind, siteId) => path.join(dir, kind, encodeURIComponent(siteId));
+  const incidentLog = createSnapshotLog(path.join(dir, 'incidents.jsonl'));
+  const commandLog = createSnapshotLog(path.join(dir, 'commands.jsonl'));
+  const settingsFile = path.join(dir, 'settings.json');
+  const pushFile = path.join(dir, 'push.json');
+  const batteryFile = path.join(dir, 'battery.json');
+  const lastStored = new Map();
+
+  // Timestamp of the newest stored sample, so re-delivered samples are not stored twice
+  const lastSampleTime = async (siteId) => {
+    if (lastStored.has(siteId)) return lastStored.get(siteId);
+
+    const days = await listFiles(siteDir('samples', siteId));
+    const latestDay = days.length > 0 ? await readJsonl(path.join(siteDir('samples', siteId), days.at(-1))) : [];
+    const latest = latestDay.reduce((max, sample) => Math.max(max, sample.timestamp), 0);
+    lastStored.set(siteId, latest);
+    return latest;
+  };
+
+  const readRange = async (kind, siteId, from, to, keyOf) => {
+    const directory = siteDir(kind, siteId);
+    const first = keyOf(from);
+    const last = keyOf(to);
+    const files = (await listFiles(directory)).filter((name) => {
+      const key = name.replace('.jsonl', '');
+      return key >= first && key <= last;
+    });
+
+    const records = [];
+    for (const name of files) {
+      for (const record of await readJsonl(path.join(directory, name))) {
+        if (record.timestamp >= from && record.timestamp <= to) records.push(record);
+      }
+    }
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+  };
+
+  const downsample = async (siteId, now) => {
+    const directory = siteDir('samples', siteId);
+    const cutoff = dayKey(now - rawRetentionDays * DAY);
+
+    for (const name of await listFiles(directory)) {
+      if (name.replace('.jsonl', '') >= cutoff) continue;
+
+      const file = path.join(directory, name);
+      const rollups = rollUp(await readJsonl(file));
+      if (rollups.length > 0) {
+        await fs.mkdir(siteDir('rollups', siteId), { recursive: true });
+        await appendJsonl(path.join(siteDir('rollups', siteId), `${monthKey(rollups[0].timestamp)}.jsonl`), rollups);
+      }
+      await fs.unlink(file);
+    }
+  };
+
+  const expireRollups = async (siteId, now) => {
+    const directory = siteDir('rollups', siteId);
+    const cutoff = monthKey(now - rollupRetentionDays * DAY);
+    for (const name of await listFiles(directory)) {
+      if (name.replace('.jsonl', '') < cutoff) await fs.unlink(path.join(directory, name));
+    }
+  };
+
+  const expireDeliveries = async (siteId, now) => {
+    const directory = siteDir('deliveries', siteId);
+    const cutoff = dayKey(now - deliveryRetentionDays * DAY);
+    for (const name of await listFiles(directory)) {
+      if (name.replace('.jsonl', '') < cutoff) await fs.unlink(path.join(directory, name));
+    }
+  };
+
+  // Drop resolved incidents and finished commands past their retention
+  const compactIncidents = (now) => {
+    const cutoff = now - incidentRetentionDays * DAY;
+    return incidentLog.compact((incident) => incident.status !== 'resolved' || incident.resolvedAt >= cutoff);
+  };
+
+  const compactCommands = (now) => {
+    const cutoff = now - commandRetentionDays * DAY;
+    return commandLog.compact((command) => command.finishedAt === null || command.finishedAt >= cutoff);
+  };
+
+  return {
+    async init() {
+      await fs.mkdir(dir, { recursive: true });
+    },
+
+    // Append samples ({ timestamp, metrics, fields }) newer than anything already stored;
+    // returns the ones that were new
+    async appendSamples(siteId, samples) {
+      const since = await lastSampleTime(siteId);
+      const fresh = samples.filter((sample) => sample.timestamp > since);
+      if (fresh.length === 0) return [];
+
+      const byDay = new Map();
+      for (const sample of fresh) {
+        const key = dayKey(sample.timestamp);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(sample);
+      }
+
+      await fs.mkdir(siteDir('samples', siteId), { recursive: true });
+      for (const [key, records] of byDay) {
+        await appendJsonl(path.join(siteDir('samples', siteId), `${key}.jsonl`), records);
+      }
+      lastStored.set(siteId, Math.max(...fresh.map((sample) => sample.timestamp)));
+      return fresh;
+    },
+
+    readSamples(siteId, from, to) {
+      return readRange('samples', siteId, from, to, dayKey);
+    },
+
+    // Newest `count` raw samples, oldest first
+    async latestSamples(siteId, count) {
+      const directory = siteDir('samples', siteId);
+      const days = await listFiles(directory);
+      let samples = [];
+      for (let i = days.length - 1; i >= 0 && samples.length < count; i--) {
+        samples = [...(await readJsonl(path.join(directory, days[i]))), ...samples];
+      }
+      return samples.sort((a, b) => a.timestamp - b.timestamp).slice(-count);
+    },
+
+    readRollups(siteId, from, to) {
+      return readRange('rollups', siteId, from, to, monthKey);
+    },
+
+    appendIncident(incident) {
+      return incidentLog.append(incident);
+    },
+
+    loadIncidents: incidentLog.load,
+
+    appendCommand(command) {
+      return commandLog.append(command);
+    },
+
+    loadCommands: commandLog.load,
+
+    // Delivery records carry `at` rather than `timestamp`; keep both so range reads work
+    async appendDelivery(record) {
+      await fs.mkdir(siteDir('deliveries', record.siteId), { recursive: true });
+      await appendJsonl(path.join(siteDir('deliveries', record.siteId), `${dayKey(record.at)}.jsonl`), [
+        { timestamp: record.at, ...record },
+      ]);
+    },
+
+    readDeliveries(siteId, from, to) {
+      return readRange('deliveries', siteId, from, to, dayKey);
+    },
+
+    loadSettings() {
+      return readJson(settingsFile, {});
+    },
+
+    saveSettings(settings) {
+      return writeJson(settingsFile, settings);
+    },
+
+    loadPushSubscriptions() {
+      return readJson(pushFile, []);
+    },
+
+    savePushSubscriptions(subscriptions) {
+      return writeJson(pushFile, subscriptions);
+    },
+
+    loadBatteryStates() {
+      return readJson(batteryFile, {});
+    },
+
+    saveBatteryStates(states) {
+      return writeJson(batteryFile, states);
+    },
+
+    async appendAudit(record) {
+      await fs.mkdir(siteDir('audit', record.siteId), { recursive: true });
+      await appendJsonl(path.join(siteDir('audit', record.siteId), `${monthKey(record.at)}.jsonl`), [
+        { timestamp: record.at, ...record },
+      ]);
+    },
+
+    readAudit(siteId, from, to) {
+      return readRange('audit', siteId, from, to, monthKey);
+    },
+
+    // Apply downsampling and retention; safe to run repeatedly
+    async maintain(siteIds, now = Date.now()) {
+      for (const siteId of siteIds) {
+        await downsample(siteId, now);
+        await expireRollups(siteId, now);
+        await expireDeliveries(siteId, now);
+      }
+      await compactIncidents(now);
+      await compactCommands(now);
+    },
+  };
+};
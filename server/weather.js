@@ -0,0 +1,37 @@
+import axios from 'axios';
+
+// Optional weather forecasts for the generation forecast. A provider is any object with
+//   name
+//   cloudCover({ lat, lon, from, to }) -> [{ timestamp, cloudCover }]   cloudCover 0-1, hourly
+// so tests and other services can pass their own. Without one the forecast stays offline and
+// assumes tomorrow's weather is like the last few days'.
+
+// Open-Meteo needs no account or key
+const createOpenMeteoProvider = ({ url = 'https://api.open-meteo.com/v1/forecast', timeout = 10000 }) => ({
+  name: 'openMeteo',
+
+  async cloudCover({ lat, lon, from, to }) {
+    const response = await axios.get(url, {
+      params: { latitude: lat, longitude: lon, hourly: 'cloud_cover', timeformat: 'unixtime', forecast_days: 3 },
+      timeout,
+    });
+    const { time = [], cloud_cover: cover = [] } = response.data.hourly || {};
+    return time
+      .map((seconds, index) => ({ timestamp: seconds * 1000, cloudCover: cover[index] / 100 }))
+      .filter(({ timestamp, cloudCover }) => timestamp >= from && timestamp <= to && Number.isFinite(cloudCover));
+  },
+});
+
+const FACTORIES = {
+  openMeteo: createOpenMeteoProvider,
+};
+
+// WEATHER_PROVIDER picks the provider; null when none is configured
+export const createWeatherProvider = ({ type, ...options } = {}) => {
+  if (!type) return null;
+  const factory = FACTORIES[type];
+  if (!factory) {
+    throw new Error(`Unknown weather provider "${type}". Expected one of: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+  return factory(options);
+};
@@ -0,0 +1,29 @@
+// Time-of-day profile of a site: what light and power it normally reaches in each half hour
+// of the local day. The alert service learns it from history (see server/anomaly.js) and
+// serves it to the dashboard, so rules with an `expected` threshold behave the same in both.
+//
+// A profile looks like { lightIntensity: [48 values], loadPower: [48 values] }, with null
+// for half hours that have not been seen on enough days yet.
+
+export const SLOT_MINUTES = 30;
+export const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES;
+
+const formatters = new Map();
+
+// Local calendar day ("2026-10-19"), minutes since local midnight and half-hour slot (0-47)
+export const localSlot = (timestamp, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(timestamp).map(({ type, value }) => [type, value]));
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, minutes, slot: Math.floor(minutes / SLOT_MINUTES) };
+};
+
+// Lookup handed to the rule engine: the profile value for a metric at a timestamp, if learned
+export const expectedFrom = (profile, timezone) => (metric, timestamp) => {
+  const value = profile?.[metric]?.[localSlot(timestamp, timezone).slot];
+  return typeof value === 'number' ? value : undefined;
+};
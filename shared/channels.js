@@ -0,0 +1,76 @@
+// Channel schema: which raw sample field feeds which metric, and how to present it.
+// Both the alert service and the dashboard load this, so re-wiring a sensor board
+// only means editing the `field` entries below.
+//
+//   metric    - name used everywhere downstream (limits, charts, alerts)
+//   field     - key in the raw sample (field1..field8 on ThingSpeak)
+//   unit      - display unit
+//   scale     - multiplier applied to the raw reading
+//   precision - decimal places shown in the dashboard, logs and messages
+//   label     - translation key for the dashboard
+//   min, max, maxStep, stuckAfter - optional data-quality limits, see quality.js
+
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_CHANNELS = [
+  { metric: 'voltage', field: 'field1', unit: 'V', scale: 1, precision: 2, label: 'voltage', min: 0, max: 60, maxStep: 5, stuckAfter: 6 * HOUR },
+  { metric: 'lightIntensity', field: 'field2', unit: 'lux', scale: 1, precision: 0, label: 'lightIntensity', min: 0, max: 150000 },
+  { metric: 'humidity', field: 'field3', unit: '%', scale: 1, precision: 1, label: 'humidity', min: 0, max: 100, maxStep: 30, stuckAfter: 6 * HOUR },
+  { metric: 'loadPower', field: 'field4', unit: 'mW', scale: 1, precision: 0, label: 'powerOutput', min: 0 },
+  { metric: 'temperature', field: 'field5', unit: '°C', scale: 1, precision: 1, label: 'temperature', min: -40, max: 125, maxStep: 15, stuckAfter: 6 * HOUR },
+];
+
+// Fill in defaults and reject schemas that would silently drop or double-map data
+export const normalizeChannels = (channels = DEFAULT_CHANNELS) => {
+  const seen = new Set();
+  return channels.map((channel) => {
+    if (!channel.metric || !channel.field) {
+      throw new Error(`Channel definition needs both "metric" and "field": ${JSON.stringify(channel)}`);
+    }
+    if (seen.has(channel.metric)) {
+      throw new Error(`Metric "${channel.metric}" is mapped more than once`);
+    }
+    seen.add(channel.metric);
+
+    return {
+      unit: '',
+      scale: 1,
+      precision: 2,
+      label: channel.metric,
+      ...channel,
+    };
+  });
+};
+
+// Metrics the service derives for sites with a battery (see server/battery.js). They have no
+// field but are formatted like channels in alerts and on the dashboard.
+export const BATTERY_CHANNELS = [
+  { metric: 'soc', unit: '%', precision: 0, label: 'batterySoc' },
+  { metric: 'autonomy', unit: 'h', precision: 1, label: 'autonomy' },
+];
+
+// Look up a channel definition by metric name
+export const channelFor = (channels, metric) => channels.find((channel) => channel.metric === metric);
+
+// Parse one raw field value; missing and unparseable readings are null, never 0
+export const parseField = (raw) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Convert a raw sample into { timestamp, <metric>: value | null, ... } without quality checks
+export const readMetrics = (sample, channels = DEFAULT_CHANNELS) => {
+  const reading = { timestamp: sample.timestamp };
+  for (const channel of channels) {
+    const value = parseField(sample.fields[channel.field]);
+    reading[channel.metric] = value === null ? null : value * (channel.scale ?? 1);
+  }
+  return reading;
+};
+
+// Format a metric value using its channel's display precision
+export const formatMetric = (value, channel) => {
+  if (value === undefined || value === null || Number.isNaN(value)) return undefined;
+  return channel ? Number(value).toFixed(channel.precision ?? 2) : String(value);
+};
@@ -0,0 +1,44 @@
+// Commands the service can send back to a site's controller. The dashboard builds its control
+// panel from this list and the service validates against it before anything is sent.
+//
+//   params - name -> { type: 'integer' | 'boolean', min, max }
+//   line   - the command as one line of text, for channels that carry plain strings
+//            (ThingSpeak TalkBack); MQTT carries JSON instead
+
+export const COMMANDS = {
+  shedLoad: { params: {}, line: () => 'SHED_LOAD' },
+  restoreLoad: { params: {}, line: () => 'RESTORE_LOAD' },
+  setRelay: {
+    params: { relay: { type: 'integer', min: 1, max: 8 }, on: { type: 'boolean' } },
+    line: ({ relay, on }) => `RELAY ${relay} ${on ? 'ON' : 'OFF'}`,
+  },
+  reboot: { params: {}, line: () => 'REBOOT' },
+  setSampleRate: {
+    params: { seconds: { type: 'integer', min: 15, max: 3600 } },
+    line: ({ seconds }) => `SAMPLE_RATE ${seconds}`,
+  },
+};
+
+export const COMMAND_NAMES = Object.keys(COMMANDS);
+
+// Check a command and its parameters; returns the parameters with nothing extra in them
+export const validateCommand = (name, params = {}) => {
+  const definition = COMMANDS[name];
+  if (!definition) {
+    throw new Error(`Unknown command "${name}". Expected one of: ${COMMAND_NAMES.join(', ')}`);
+  }
+
+  return Object.fromEntries(Object.entries(definition.params).map(([key, { type, min, max }]) => {
+    const value = params?.[key];
+    if (type === 'boolean' && typeof value !== 'boolean') {
+      throw new Error(`${name}: ${key} must be true or false`);
+    }
+    if (type === 'integer' && !(Number.isInteger(value) && value >= min && value <= max)) {
+      throw new Error(`${name}: ${key} must be a whole number from ${min} to ${max}`);
+    }
+    return [key, value];
+  }));
+};
+
+// "<id> <COMMAND ...>", so the controller can name the command it acknowledges
+export const commandLine = (id, name, params) => `${id} ${COMMANDS[name].line(params)}`;
@@ -0,0 +1,961 @@
+// Message catalog shared by the dashboard and the alert service.
+//
+// Each language holds the dashboard strings plus a `notifications` section with the
+// templates used for SMS, WhatsApp, email and the other channels. Templates take
+// {placeholders}: site, severity, message, title, reading, threshold, time and level.
+// A language only needs the keys it translates; anything missing falls back to English.
+
+import { BATTERY_CHANNELS, DEFAULT_CHANNELS, channelFor, formatMetric } from './channels.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English', locale: 'en-IN' },
+  { code: 'hi', name: 'हिंदी', locale: 'hi-IN' },
+  { code: 'mr', name: 'मराठी', locale: 'mr-IN' },
+  { code: 'gu', name: 'ગુજરાતી', locale: 'gu-IN' },
+];
+
+export const translations = {
+  en: {
+    selectLanguage: 'Select Language',
+    signIn: 'Please sign in to continue',
+    welcomeBack: 'Welcome back',
+    signOut: 'Sign Out',
+    site: 'Site',
+    noSites: 'No sites are available for your account.',
+    roles: {
+      viewer: 'Viewer',
+      operator: 'Operator',
+      admin: 'Admin',
+    },
+    overview: 'Overview',
+    realtime: 'Real-time telemetry from microgrid sensors.',
+    lastSynced: 'Last synced',
+    voltage: 'Voltage',
+    current: 'Current', // Kept for legacy
+    humidity: 'Humidity',
+    lightIntensity: 'Light Intensity',
+    panelTemperature: 'Panel Temperature',
+    temperature: 'Temperature',
+    powerOutput: 'Power Output',
+    autonomy: 'Battery Autonomy',
+    batterySoc: 'Battery Charge',
+    battery: {
+      phases: { charging: 'charging', discharging: 'discharging' },
+      cycles: '{count} cycles',
+      noLoad: 'No load',
+    },
+    systemAlert: 'SYSTEM ALERT',
+    systemOnline: 'System Online',
+    disconnect: 'Disconnect',
+    history: 'History',
+    ranges: {
+      '1h': 'Last hour',
+      '24h': '24 hours',
+      '7d': '7 days',
+      '30d': '30 days',
+      custom: 'Custom',
+    },
+    from: 'From',
+    to: 'To',
+    apply: 'Apply',
+    noData: 'No data in this range',
+    forecast: {
+      expected: 'Expected',
+      tomorrow: 'Tomorrow: about {energy} kWh expected',
+    },
+    systemOffline: 'Device Offline',
+    lastSeen: 'Last seen',
+    never: 'never',
+    uptime: 'Uptime',
+    flaggedSamples: '{count} flagged',
+    qualityIssues: {
+      missing: 'missing',
+      invalid: 'unreadable',
+      range: 'out of range',
+      spike: 'spike',
+      stuck: 'stuck sensor',
+    },
+    alerts: {
+      voltage: 'High Voltage',
+      humidity: 'High Humidity',
+      temperature: 'High Temperature',
+      lightIntensity: 'Low Light Intensity',
+      offline: 'Device Offline',
+      soiling: 'Low Panel Output',
+      shading: 'New Shading',
+      autonomy: 'Low Battery Autonomy',
+    },
+    settings: {
+      title: 'Settings',
+      open: 'Site settings',
+      back: 'Back to dashboard',
+      thresholds: 'Alert thresholds',
+      cooldown: 'Reminder cooldown (seconds)',
+      pollInterval: 'Poll interval (seconds)',
+      offlineAfter: 'Offline alert after (seconds)',
+      recipients: 'Recipients',
+      name: 'Name',
+      language: 'Language',
+      addRecipient: 'Add recipient',
+      remove: 'Remove',
+      save: 'Save changes',
+      saved: 'Settings saved',
+      auditTrail: 'Change history',
+      noAudit: 'No changes recorded yet',
+      by: 'by',
+    },
+    reports: {
+      title: 'Reports',
+      open: 'Energy report',
+      back: 'Back to dashboard',
+      periods: { day: 'Daily', week: 'Weekly', month: 'Monthly' },
+      period: 'Period',
+      energy: 'Energy produced',
+      peakPower: 'Peak power',
+      insolation: 'Insolation',
+      performanceRatio: 'Performance ratio',
+      savings: 'Cost savings',
+      co2Avoided: 'CO₂ avoided',
+      total: 'Total',
+      noCapacity: 'Set the rated panel capacity for this site to see its performance ratio.',
+    },
+    exports: {
+      title: 'Export',
+      csv: 'Telemetry (CSV)',
+      alertsCsv: 'Alert log (CSV)',
+      xlsx: 'Excel workbook',
+      pdf: 'PDF report',
+      time: 'Time',
+      opened: 'Opened',
+      resolved: 'Resolved',
+      alert: 'Alert',
+      severity: 'Severity',
+      status: 'Status',
+      value: 'Last value',
+      threshold: 'Threshold',
+      acknowledgedBy: 'Acknowledged by',
+      resolvedBy: 'Resolved by',
+      statuses: { open: 'Open', acknowledged: 'Acknowledged', resolved: 'Resolved' },
+      telemetrySheet: 'Telemetry',
+      alertsSheet: 'Alerts',
+      reportTitle: 'Site report',
+      generated: 'Generated',
+      period: 'Period',
+      summary: 'Summary',
+      min: 'Minimum',
+      avg: 'Average',
+      max: 'Maximum',
+      alertLog: 'Alert log',
+      noAlerts: 'No alerts in this period',
+    },
+    fleet: {
+      title: 'Fleet overview',
+      subtitle: 'All sites you have access to. Select one to open its dashboard.',
+      map: 'Site map',
+      noLocation: 'No location set',
+      status: 'Status',
+      states: { online: 'Online', alerting: 'Alerting', offline: 'Offline' },
+      todayEnergy: 'Energy today',
+      activeAlerts: 'Active alerts',
+      open: 'Open',
+    },
+    control: {
+      title: 'Control',
+      open: 'Remote control',
+      back: 'Back to dashboard',
+      subtitle: 'Commands are sent to the site controller. Each one is confirmed first and kept in the log below.',
+      commands: {
+        shedLoad: 'Shed load',
+        restoreLoad: 'Restore load',
+        setRelay: 'Switch relay',
+        reboot: 'Reboot controller',
+        setSampleRate: 'Set sample rate',
+      },
+      relay: 'Relay',
+      on: 'On',
+      off: 'Off',
+      seconds: 'Seconds between samples',
+      send: 'Send',
+      confirm: 'Send "{command}" to {site}? This changes equipment at the site.',
+      automatic: 'Automatic actions',
+      actionLine: 'When {rule} alerts: {command}',
+      recoveryLine: 'then {command} once it is back to normal',
+      log: 'Command log',
+      noCommands: 'No commands sent yet',
+      time: 'Time',
+      command: 'Command',
+      issuedBy: 'Issued by',
+      status: 'Status',
+      result: 'Result',
+      byRule: 'Rule: {rule}',
+      statuses: { pending: 'Pending', sent: 'Sent', acknowledged: 'Acknowledged', failed: 'Failed', expired: 'No reply' },
+    },
+    app: {
+      offline: 'You are offline',
+      showingSaved: 'Showing the last data saved on this device, received {age}.',
+      nothingSaved: 'No data has been saved on this device yet.',
+      pushOn: 'Phone alerts on',
+      pushOff: 'Phone alerts',
+      pushBlocked: 'Notifications are blocked for this dashboard. Allow them in the browser settings to get alerts.',
+    },
+    notifications: {
+      welcome: '--- Welcome to SUNकल्प --- [{site}]',
+      severities: {
+        info: 'INFO',
+        warning: 'WARNING',
+        critical: 'CRITICAL',
+      },
+      alert: '{severity} ALERT!!! {message}',
+      escalation: 'ESCALATED (level {level}, unacknowledged): {severity} ALERT!!! {message}',
+      reminder: 'REMINDER: {severity} ALERT!!! {message}',
+      recovery: 'RESOLVED: {title} back to normal ({reading}) at {time}. No action needed.',
+      subjects: {
+        alert: '{severity} alert',
+        escalation: '{severity} alert (escalated)',
+        reminder: '{severity} alert (reminder)',
+        recovery: 'back to normal',
+      },
+      recoveries: {
+        offline: 'RESOLVED: Data from the sensor board is arriving again ({time}). No action needed.',
+      },
+      rules: {
+        voltage: 'The system voltage is too high ({reading}, limit {threshold}, at {time}). Please check the charge controller.',
+        lightIntensity: 'The panel is not receiving sufficient light ({reading}, expected at least {threshold}, at {time}). Please check for any obstruction around the panel.',
+        temperature: 'The panel temperature is too high ({reading}, limit {threshold}, at {time}). Please check ventilation around the system.',
+        humidity: 'The humidity levels are too high ({reading}, limit {threshold}, at {time}). Please check the system environment.',
+        offline: 'No data has been received from the sensor board since {time}. Please check its power supply and network connection.',
+        soiling: 'Power output is low for the available light ({reading}, expected about {threshold}, since {time}). The panel may be dirty or a connection may be faulty; please clean the panel and check the wiring.',
+        shading: 'The light drops around {time} on several clear days in a row ({reading}, expected about {threshold}) while the rest of the day is normal. Something new may be shading the panel; please check around it.',
+        autonomy: 'The battery will run out in about {reading} at the current load (alert below {threshold}, at {time}). Please reduce the load or check that the panels are charging it.',
+      },
+    },
+  },
+  hi: {
+    selectLanguage: 'भाषा चुनें',
+    signIn: 'जारी रखने के लिए साइन इन करें',
+    welcomeBack: 'स्वागत है',
+    signOut: 'साइन आउट',
+    site: 'साइट',
+    noSites: 'आपके खाते के लिए कोई साइट उपलब्ध नहीं है।',
+    roles: {
+      viewer: 'दर्शक',
+      operator: 'ऑपरेटर',
+      admin: 'प्रशासक',
+    },
+    overview: 'सारांश',
+    realtime: 'माइक्रोग्रिड सेंसर से रियल-टाइम डेटा।',
+    lastSynced: 'अंतिम अपडेट',
+    voltage: 'वोल्टेज',
+    current: 'करंट', // Kept for legacy
+    humidity: 'आर्द्रता',
+    lightIntensity: 'प्रकाश तीव्रता',
+    panelTemperature: 'पैनल तापमान',
+    temperature: 'तापमान',
+    powerOutput: 'पावर आउटपुट',
+    autonomy: 'बैटरी बैकअप',
+    batterySoc: 'बैटरी चार्ज',
+    battery: {
+      phases: { charging: 'चार्ज हो रही है', discharging: 'डिस्चार्ज हो रही है' },
+      cycles: '{count} चक्र',
+      noLoad: 'कोई लोड नहीं',
+    },
+    systemAlert: 'सिस्टम चेतावनी',
+    systemOnline: 'सिस्टम ऑनलाइन',
+    disconnect: 'डिस्कनेक्ट करें',
+    history: 'इतिहास',
+    ranges: {
+      '1h': 'पिछला घंटा',
+      '24h': '24 घंटे',
+      '7d': '7 दिन',
+      '30d': '30 दिन',
+      custom: 'कस्टम',
+    },
+    from: 'से',
+    to: 'तक',
+    apply: 'लागू करें',
+    noData: 'इस अवधि में कोई डेटा नहीं',
+    forecast: {
+      expected: 'अनुमानित',
+      tomorrow: 'कल: लगभग {energy} kWh अपेक्षित',
+    },
+    systemOffline: 'डिवाइस ऑफ़लाइन',
+    lastSeen: 'अंतिम डेटा',
+    never: 'कभी नहीं',
+    uptime: 'अपटाइम',
+    flaggedSamples: '{count} संदिग्ध',
+    qualityIssues: {
+      missing: 'अनुपलब्ध',
+      invalid: 'अपठनीय',
+      range: 'सीमा से बाहर',
+      spike: 'अचानक उछाल',
+      stuck: 'अटका हुआ सेंसर',
+    },
+    alerts: {
+      voltage: 'उच्च वोल्टेज',
+      humidity: 'उच्च आर्द्रता',
+      temperature: 'उच्च तापमान',
+      lightIntensity: 'कम प्रकाश तीव्रता',
+      offline: 'डिवाइस ऑफ़लाइन',
+      soiling: 'पैनल आउटपुट कम',
+      shading: 'नई छाया',
+      autonomy: 'बैटरी बैकअप कम',
+    },
+    settings: {
+      title: 'सेटिंग्स',
+      open: 'साइट सेटिंग्स',
+      back: 'डैशबोर्ड पर वापस',
+      thresholds: 'अलर्ट सीमाएँ',
+      cooldown: 'अनुस्मारक अंतराल (सेकंड)',
+      pollInterval: 'पोलिंग अंतराल (सेकंड)',
+      offlineAfter: 'ऑफ़लाइन अलर्ट इतने समय बाद (सेकंड)',
+      recipients: 'प्राप्तकर्ता',
+      name: 'नाम',
+      language: 'भाषा',
+      addRecipient: 'प्राप्तकर्ता जोड़ें',
+      remove: 'हटाएँ',
+      save: 'बदलाव सहेजें',
+      saved: 'सेटिंग्स सहेजी गईं',
+      auditTrail: 'बदलाव का इतिहास',
+      noAudit: 'अभी तक कोई बदलाव दर्ज नहीं',
+      by: 'द्वारा',
+    },
+    reports: {
+      title: 'रिपोर्ट',
+      open: 'ऊर्जा रिपोर्ट',
+      back: 'डैशबोर्ड पर वापस',
+      periods: { day: 'दैनिक', week: 'साप्ताहिक', month: 'मासिक' },
+      period: 'अवधि',
+      energy: 'उत्पादित ऊर्जा',
+      peakPower: 'अधिकतम शक्ति',
+      insolation: 'सौर विकिरण',
+      performanceRatio: 'प्रदर्शन अनुपात',
+      savings: 'लागत बचत',
+      co2Avoided: 'बचाई गई CO₂',
+      total: 'कुल',
+      noCapacity: 'प्रदर्शन अनुपात देखने के लिए इस साइट के पैनल की रेटेड क्षमता सेट करें।',
+    },
+    exports: {
+      title: 'निर्यात',
+      csv: 'टेलीमेट्री (CSV)',
+      alertsCsv: 'अलर्ट लॉग (CSV)',
+      xlsx: 'एक्सेल वर्कबुक',
+      pdf: 'PDF रिपोर्ट',
+      time: 'समय',
+      opened: 'शुरू',
+      resolved: 'समाधान',
+      alert: 'अलर्ट',
+      severity: 'गंभीरता',
+      status: 'स्थिति',
+      value: 'अंतिम मान',
+      threshold: 'सीमा',
+      acknowledgedBy: 'स्वीकार करने वाले',
+      resolvedBy: 'समाधान करने वाले',
+      statuses: { open: 'खुला', acknowledged: 'स्वीकृत', resolved: 'समाधान हुआ' },
+      telemetrySheet: 'टेलीमेट्री',
+      alertsSheet: 'अलर्ट',
+      reportTitle: 'साइट रिपोर्ट',
+      generated: 'तैयार किया गया',
+      period: 'अवधि',
+      summary: 'सारांश',
+      min: 'न्यूनतम',
+      avg: 'औसत',
+      max: 'अधिकतम',
+      alertLog: 'अलर्ट लॉग',
+      noAlerts: 'इस अवधि में कोई अलर्ट नहीं',
+    },
+    fleet: {
+      title: 'सभी साइटों का सारांश',
+      subtitle: 'वे सभी साइटें जिन तक आपकी पहुँच है। डैशबोर्ड खोलने के लिए किसी एक को चुनें।',
+      map: 'साइट नक्शा',
+      noLocation: 'स्थान सेट नहीं है',
+      status: 'स्थिति',
+      states: { online: 'ऑनलाइन', alerting: 'अलर्ट', offline: 'ऑफ़लाइन' },
+      todayEnergy: 'आज की ऊर्जा',
+      activeAlerts: 'सक्रिय अलर्ट',
+      open: 'खोलें',
+    },
+    control: {
+      title: 'नियंत्रण',
+      open: 'रिमोट नियंत्रण',
+      back: 'डैशबोर्ड पर वापस',
+      subtitle: 'आदेश साइट के कंट्रोलर को भेजे जाते हैं। हर आदेश पहले पुष्टि के बाद भेजा जाता है और नीचे लॉग में दर्ज होता है।',
+      commands: {
+        shedLoad: 'लोड हटाएँ',
+        restoreLoad: 'लोड वापस जोड़ें',
+        setRelay: 'रिले बदलें',
+        reboot: 'कंट्रोलर रीबूट करें',
+        setSampleRate: 'सैंपल दर सेट करें',
+      },
+      relay: 'रिले',
+      on: 'चालू',
+      off: 'बंद',
+      seconds: 'सैंपल के बीच सेकंड',
+      send: 'भेजें',
+      confirm: '{site} को "{command}" भेजें? इससे साइट के उपकरण बदलेंगे।',
+      automatic: 'स्वचालित कार्रवाइयाँ',
+      actionLine: 'जब {rule} अलर्ट हो: {command}',
+      recoveryLine: 'सामान्य होने पर {command}',
+      log: 'आदेश लॉग',
+      noCommands: 'अभी तक कोई आदेश नहीं भेजा गया',
+      time: 'समय',
+      command: 'आदेश',
+      issuedBy: 'किसने भेजा',
+      status: 'स्थिति',
+      result: 'परिणाम',
+      byRule: 'नियम: {rule}',
+      statuses: { pending: 'प्रतीक्षा में', sent: 'भेजा गया', acknowledged: 'पुष्टि हुई', failed: 'विफल', expired: 'कोई जवाब नहीं' },
+    },
+    app: {
+      offline: 'आप ऑफ़लाइन हैं',
+      showingSaved: 'इस डिवाइस पर सहेजा गया अंतिम डेटा दिखाया जा रहा है, जो {age} मिला था।',
+      nothingSaved: 'इस डिवाइस पर अभी तक कोई डेटा सहेजा नहीं गया है।',
+      pushOn: 'फ़ोन अलर्ट चालू',
+      pushOff: 'फ़ोन अलर्ट',
+      pushBlocked: 'इस डैशबोर्ड के लिए सूचनाएँ ब्लॉक हैं। अलर्ट पाने के लिए ब्राउज़र सेटिंग्स में इन्हें अनुमति दें।',
+    },
+    notifications: {
+      welcome: '--- SUNकल्प में आपका स्वागत है --- [{site}]',
+      severities: {
+        info: 'सूचना',
+        warning: 'चेतावनी',
+        critical: 'गंभीर',
+      },
+      alert: '{severity} अलर्ट!!! {message}',
+      escalation: 'एस्केलेटेड (स्तर {level}, अभी तक स्वीकार नहीं किया गया): {severity} अलर्ट!!! {message}',
+      reminder: 'अनुस्मारक: {severity} अलर्ट!!! {message}',
+      recovery: 'समाधान: {title} सामान्य हो गया ({reading}), {time}। किसी कार्रवाई की आवश्यकता नहीं।',
+      subjects: {
+        alert: '{severity} अलर्ट',
+        escalation: '{severity} अलर्ट (एस्केलेटेड)',
+        reminder: '{severity} अलर्ट (अनुस्मारक)',
+        recovery: 'सामान्य स्थिति बहाल',
+      },
+      recoveries: {
+        offline: 'समाधान: सेंसर बोर्ड से डेटा फिर से आ रहा है ({time})। किसी कार्रवाई की आवश्यकता नहीं।',
+      },
+      rules: {
+        voltage: 'सिस्टम वोल्टेज बहुत अधिक है ({reading}, सीमा {threshold}, समय {time})। कृपया चार्ज कंट्रोलर की जाँच करें।',
+        lightIntensity: 'पैनल को पर्याप्त रोशनी नहीं मिल रही है ({reading}, न्यूनतम {threshold}, समय {time})। कृपया पैनल के आसपास किसी रुकावट की जाँच करें।',
+        temperature: 'पैनल का तापमान बहुत अधिक है ({reading}, सीमा {threshold}, समय {time})। कृपया सिस्टम के आसपास हवा के प्रवाह की जाँच करें।',
+        humidity: 'आर्द्रता बहुत अधिक है ({reading}, सीमा {threshold}, समय {time})। कृपया सिस्टम के वातावरण की जाँच करें।',
+        offline: '{time} से सेंसर बोर्ड से कोई डेटा नहीं मिला है। कृपया इसकी बिजली आपूर्ति और नेटवर्क कनेक्शन की जाँच करें।',
+        soiling: 'उपलब्ध रोशनी के हिसाब से बिजली उत्पादन कम है ({reading}, अपेक्षित लगभग {threshold}, {time} से)। पैनल गंदा हो सकता है या कोई कनेक्शन खराब हो सकता है; कृपया पैनल साफ़ करें और वायरिंग जाँचें।',
+        shading: 'लगातार कई साफ़ दिनों में लगभग {time} पर रोशनी घट जाती है ({reading}, अपेक्षित लगभग {threshold}), जबकि बाकी दिन सामान्य रहता है। कोई नई चीज़ पैनल पर छाया डाल रही हो सकती है; कृपया आसपास जाँचें।',
+        autonomy: 'मौजूदा लोड पर बैटरी लगभग {reading} में खत्म हो जाएगी (अलर्ट सीमा {threshold}, समय {time})। कृपया लोड कम करें या जाँचें कि पैनल उसे चार्ज कर रहे हैं।',
+      },
+    },
+  },
+  mr: {
+    selectLanguage: 'भाषा निवडा',
+    signIn: 'पुढे जाण्यासाठी साइन इन करा',
+    welcomeBack: 'पुन्हा स्वागत आहे',
+    signOut: 'साइन आउट',
+    site: 'साइट',
+    noSites: 'तुमच्या खात्यासाठी कोणतीही साइट उपलब्ध नाही.',
+    roles: {
+      viewer: 'दर्शक',
+      operator: 'ऑपरेटर',
+      admin: 'प्रशासक',
+    },
+    overview: 'आढावा',
+    realtime: 'मायक्रोग्रिड सेन्सरकडून रिअल-टाइम डेटा.',
+    lastSynced: 'शेवटचे अपडेट',
+    voltage: 'व्होल्टेज',
+    current: 'करंट', // Kept for legacy
+    humidity: 'आर्द्रता',
+    lightIntensity: 'प्रकाश तीव्रता',
+    panelTemperature: 'पॅनेल तापमान',
+    temperature: 'तापमान',
+    powerOutput: 'पॉवर आउटपुट',
+    autonomy: 'बॅटरी बॅकअप',
+    batterySoc: 'बॅटरी चार्ज',
+    battery: {
+      phases: { charging: 'चार्ज होत आहे', discharging: 'डिस्चार्ज होत आहे' },
+      cycles: '{count} चक्रे',
+      noLoad: 'लोड नाही',
+    },
+    systemAlert: 'सिस्टम इशारा',
+    systemOnline: 'सिस्टम ऑनलाइन',
+    disconnect: 'डिस्कनेक्ट करा',
+    history: 'इतिहास',
+    ranges: {
+      '1h': 'मागील तास',
+      '24h': '24 तास',
+      '7d': '7 दिवस',
+      '30d': '30 दिवस',
+      custom: 'सानुकूल',
+    },
+    from: 'पासून',
+    to: 'पर्यंत',
+    apply: 'लागू करा',
+    noData: 'या कालावधीत डेटा नाही',
+    forecast: {
+      expected: 'अपेक्षित',
+      tomorrow: 'उद्या: सुमारे {energy} kWh अपेक्षित',
+    },
+    systemOffline: 'डिव्हाइस ऑफलाइन',
+    lastSeen: 'शेवटचा डेटा',
+    never: 'कधीच नाही',
+    uptime: 'अपटाइम',
+    flaggedSamples: '{count} संशयास्पद',
+    qualityIssues: {
+      missing: 'उपलब्ध नाही',
+      invalid: 'वाचता येत नाही',
+      range: 'मर्यादेबाहेर',
+      spike: 'अचानक उसळी',
+      stuck: 'अडकलेला सेन्सर',
+    },
+    alerts: {
+      voltage: 'उच्च व्होल्टेज',
+      humidity: 'उच्च आर्द्रता',
+      temperature: 'उच्च तापमान',
+      lightIntensity: 'कमी प्रकाश तीव्रता',
+      offline: 'डिव्हाइस ऑफलाइन',
+      soiling: 'पॅनेल आउटपुट कमी',
+      shading: 'नवीन सावली',
+      autonomy: 'बॅटरी बॅकअप कमी',
+    },
+    settings: {
+      title: 'सेटिंग्ज',
+      open: 'साइट सेटिंग्ज',
+      back: 'डॅशबोर्डवर परत',
+      thresholds: 'अलर्ट मर्यादा',
+      cooldown: 'स्मरणपत्र अंतर (सेकंद)',
+      pollInterval: 'पोलिंग अंतर (सेकंद)',
+      offlineAfter: 'ऑफलाइन अलर्ट इतक्या वेळानंतर (सेकंद)',
+      recipients: 'प्राप्तकर्ते',
+      name: 'नाव',
+      language: 'भाषा',
+      addRecipient: 'प्राप्तकर्ता जोडा',
+      remove: 'काढा',
+      save: 'बदल जतन करा',
+      saved: 'सेटिंग्ज जतन झाल्या',
+      auditTrail: 'बदलांचा इतिहास',
+      noAudit: 'अद्याप कोणतेही बदल नोंदवलेले नाहीत',
+      by: 'द्वारे',
+    },
+    reports: {
+      title: 'अहवाल',
+      open: 'ऊर्जा अहवाल',
+      back: 'डॅशबोर्डवर परत',
+      periods: { day: 'दैनिक', week: 'साप्ताहिक', month: 'मासिक' },
+      period: 'कालावधी',
+      energy: 'निर्मित ऊर्जा',
+      peakPower: 'कमाल शक्ती',
+      insolation: 'सौर प्रारण',
+      performanceRatio: 'कार्यक्षमता गुणोत्तर',
+      savings: 'खर्च बचत',
+      co2Avoided: 'टाळलेला CO₂',
+      total: 'एकूण',
+      noCapacity: 'कार्यक्षमता गुणोत्तर पाहण्यासाठी या साइटच्या पॅनेलची रेटेड क्षमता सेट करा.',
+    },
+    exports: {
+      title: 'निर्यात',
+      csv: 'टेलीमेट्री (CSV)',
+      alertsCsv: 'अलर्ट लॉग (CSV)',
+      xlsx: 'एक्सेल वर्कबुक',
+      pdf: 'PDF अहवाल',
+      time: 'वेळ',
+      opened: 'सुरू',
+      resolved: 'निराकरण',
+      alert: 'अलर्ट',
+      severity: 'तीव्रता',
+      status: 'स्थिती',
+      value: 'शेवटचे मूल्य',
+      threshold: 'मर्यादा',
+      acknowledgedBy: 'स्वीकारणारे',
+      resolvedBy: 'निराकरण करणारे',
+      statuses: { open: 'उघडा', acknowledged: 'स्वीकारलेला', resolved: 'निराकरण झाले' },
+      telemetrySheet: 'टेलीमेट्री',
+      alertsSheet: 'अलर्ट',
+      reportTitle: 'साइट अहवाल',
+      generated: 'तयार केले',
+      period: 'कालावधी',
+      summary: 'सारांश',
+      min: 'किमान',
+      avg: 'सरासरी',
+      max: 'कमाल',
+      alertLog: 'अलर्ट लॉग',
+      noAlerts: 'या कालावधीत कोणतेही अलर्ट नाहीत',
+    },
+    fleet: {
+      title: 'सर्व साइट्सचा आढावा',
+      subtitle: 'तुम्हाला प्रवेश असलेल्या सर्व साइट्स. डॅशबोर्ड उघडण्यासाठी एक निवडा.',
+      map: 'साइट नकाशा',
+      noLocation: 'स्थान सेट केलेले नाही',
+      status: 'स्थिती',
+      states: { online: 'ऑनलाइन', alerting: 'अलर्ट', offline: 'ऑफलाइन' },
+      todayEnergy: 'आजची ऊर्जा',
+      activeAlerts: 'सक्रिय अलर्ट',
+      open: 'उघडा',
+    },
+    control: {
+      title: 'नियंत्रण',
+      open: 'रिमोट नियंत्रण',
+      back: 'डॅशबोर्डवर परत',
+      subtitle: 'आदेश साइटच्या कंट्रोलरला पाठवले जातात. प्रत्येक आदेश आधी पुष्टी करून पाठवला जातो आणि खालील लॉगमध्ये नोंदवला जातो.',
+      commands: {
+        shedLoad: 'लोड काढा',
+        restoreLoad: 'लोड पुन्हा जोडा',
+        setRelay: 'रिले बदला',
+        reboot: 'कंट्रोलर रीबूट करा',
+        setSampleRate: 'सॅम्पल दर सेट करा',
+      },
+      relay: 'रिले',
+      on: 'चालू',
+      off: 'बंद',
+      seconds: 'सॅम्पलमधील सेकंद',
+      send: 'पाठवा',
+      confirm: '{site} ला "{command}" पाठवायचे? यामुळे साइटवरील उपकरणे बदलतील.',
+      automatic: 'स्वयंचलित कृती',
+      actionLine: '{rule} अलर्ट आल्यावर: {command}',
+      recoveryLine: 'सामान्य झाल्यावर {command}',
+      log: 'आदेश लॉग',
+      noCommands: 'अद्याप कोणताही आदेश पाठवलेला नाही',
+      time: 'वेळ',
+      command: 'आदेश',
+      issuedBy: 'कोणी पाठवला',
+      status: 'स्थिती',
+      result: 'परिणाम',
+      byRule: 'नियम: {rule}',
+      statuses: { pending: 'प्रतीक्षेत', sent: 'पाठवला', acknowledged: 'पुष्टी झाली', failed: 'अयशस्वी', expired: 'उत्तर नाही' },
+    },
+    app: {
+      offline: 'तुम्ही ऑफलाइन आहात',
+      showingSaved: 'या डिव्हाइसवर जतन केलेला शेवटचा डेटा दाखवत आहे, जो {age} मिळाला होता.',
+      nothingSaved: 'या डिव्हाइसवर अद्याप कोणताही डेटा जतन केलेला नाही.',
+      pushOn: 'फोन अलर्ट चालू',
+      pushOff: 'फोन अलर्ट',
+      pushBlocked: 'या डॅशबोर्डसाठी सूचना ब्लॉक केल्या आहेत. अलर्ट मिळवण्यासाठी ब्राउझर सेटिंग्जमध्ये त्यांना परवानगी द्या.',
+    },
+    notifications: {
+      welcome: '--- SUNकल्प मध्ये आपले स्वागत आहे --- [{site}]',
+      severities: {
+        info: 'माहिती',
+        warning: 'इशारा',
+        critical: 'गंभीर',
+      },
+      alert: '{severity} अलर्ट!!! {message}',
+      escalation: 'एस्केलेट केले (स्तर {level}, अद्याप स्वीकारले नाही): {severity} अलर्ट!!! {message}',
+      reminder: 'स्मरणपत्र: {severity} अलर्ट!!! {message}',
+      recovery: 'निराकरण: {title} सामान्य झाले ({reading}), {time}. कोणतीही कारवाई आवश्यक नाही.',
+      subjects: {
+        alert: '{severity} अलर्ट',
+        escalation: '{severity} अलर्ट (एस्केलेट केले)',
+        reminder: '{severity} अलर्ट (स्मरणपत्र)',
+        recovery: 'सामान्य स्थिती पूर्ववत',
+      },
+      recoveries: {
+        offline: 'निराकरण: सेन्सर बोर्डकडून डेटा पुन्हा येत आहे ({time}). कोणतीही कारवाई आवश्यक नाही.',
+      },
+      rules: {
+        voltage: 'सिस्टमचे व्होल्टेज खूप जास्त आहे ({reading}, मर्यादा {threshold}, वेळ {time}). कृपया चार्ज कंट्रोलर तपासा.',
+        lightIntensity: 'पॅनेलला पुरेसा प्रकाश मिळत नाही ({reading}, किमान {threshold}, वेळ {time}). कृपया पॅनेलभोवती काही अडथळा आहे का ते तपासा.',
+        temperature: 'पॅनेलचे तापमान खूप जास्त आहे ({reading}, मर्यादा {threshold}, वेळ {time}). कृपया सिस्टमभोवती हवा खेळती आहे का ते तपासा.',
+        humidity: 'आर्द्रता खूप जास्त आहे ({reading}, मर्यादा {threshold}, वेळ {time}). कृपया सिस्टमचे वातावरण तपासा.',
+        offline: '{time} पासून सेन्सर बोर्डकडून कोणताही डेटा मिळालेला नाही. कृपया त्याचा वीजपुरवठा आणि नेटवर्क कनेक्शन तपासा.',
+        soiling: 'उपलब्ध प्रकाशाच्या मानाने वीज उत्पादन कमी आहे ({reading}, अपेक्षित सुमारे {threshold}, {time} पासून). पॅनेलवर धूळ साचलेली असू शकते किंवा एखादे कनेक्शन सदोष असू शकते; कृपया पॅनेल स्वच्छ करा आणि वायरिंग तपासा.',
+        shading: 'सलग अनेक स्वच्छ दिवशी सुमारे {time} ला प्रकाश कमी होतो ({reading}, अपेक्षित सुमारे {threshold}), तर उरलेला दिवस सामान्य असतो. एखादी नवीन वस्तू पॅनेलवर सावली टाकत असू शकते; कृपया आजूबाजूला तपासा.',
+        autonomy: 'सध्याच्या लोडवर बॅटरी सुमारे {reading} मध्ये संपेल (अलर्ट मर्यादा {threshold}, वेळ {time}). कृपया लोड कमी करा किंवा पॅनेल ती चार्ज करत आहेत का ते तपासा.',
+      },
+    },
+  },
+  gu: {
+    selectLanguage: 'ભાષા પસંદ કરો',
+    signIn: 'આગળ વધવા માટે સાઇન ઇન કરો',
+    welcomeBack: 'ફરી સ્વાગત છે',
+    signOut: 'સાઇન આઉટ',
+    site: 'સાઇટ',
+    noSites: 'તમારા ખાતા માટે કોઈ સાઇટ ઉપલબ્ધ નથી.',
+    roles: {
+      viewer: 'દર્શક',
+      operator: 'ઓપરેટર',
+      admin: 'વ્યવસ્થાપક',
+    },
+    overview: 'સારાંશ',
+    realtime: 'માઇક્રોગ્રિડ સેન્સરમાંથી રિયલ-ટાઇમ ડેટા.',
+    lastSynced: 'છેલ્લું અપડેટ',
+    voltage: 'વોલ્ટેજ',
+    current: 'કરંટ', // Kept for legacy
+    humidity: 'ભેજ',
+    lightIntensity: 'પ્રકાશની તીવ્રતા',
+    panelTemperature: 'પેનલ તાપમાન',
+    temperature: 'તાપમાન',
+    powerOutput: 'પાવર આઉટપુટ',
+    autonomy: 'બેટરી બેકઅપ',
+    batterySoc: 'બેટરી ચાર્જ',
+    battery: {
+      phases: { charging: 'ચાર્જ થઈ રહી છે', discharging: 'ડિસ્ચાર્જ થઈ રહી છે' },
+      cycles: '{count} ચક્ર',
+      noLoad: 'કોઈ લોડ નથી',
+    },
+    systemAlert: 'સિસ્ટમ ચેતવણી',
+    systemOnline: 'સિસ્ટમ ઓનલાઇન',
+    disconnect: 'ડિસ્કનેક્ટ કરો',
+    history: 'ઇતિહાસ',
+    ranges: {
+      '1h': 'છેલ્લો કલાક',
+      '24h': '24 કલાક',
+      '7d': '7 દિવસ',
+      '30d': '30 દિવસ',
+      custom: 'કસ્ટમ',
+    },
+    from: 'થી',
+    to: 'સુધી',
+    apply: 'લાગુ કરો',
+    noData: 'આ સમયગાળામાં કોઈ ડેટા નથી',
+    forecast: {
+      expected: 'અપેક્ષિત',
+      tomorrow: 'આવતીકાલે: લગભગ {energy} kWh અપેક્ષિત',
+    },
+    systemOffline: 'ડિવાઇસ ઓફલાઇન',
+    lastSeen: 'છેલ્લો ડેટા',
+    never: 'ક્યારેય નહીં',
+    uptime: 'અપટાઇમ',
+    flaggedSamples: '{count} શંકાસ્પદ',
+    qualityIssues: {
+      missing: 'ઉપલબ્ધ નથી',
+      invalid: 'વાંચી શકાતું નથી',
+      range: 'મર્યાદા બહાર',
+      spike: 'અચાનક ઉછાળો',
+      stuck: 'અટકેલું સેન્સર',
+    },
+    alerts: {
+      voltage: 'ઊંચું વોલ્ટેજ',
+      humidity: 'ઊંચો ભેજ',
+      temperature: 'ઊંચું તાપમાન',
+      lightIntensity: 'ઓછી પ્રકાશ તીવ્રતા',
+      offline: 'ડિવાઇસ ઓફલાઇન',
+      soiling: 'પેનલ આઉટપુટ ઓછું',
+      shading: 'નવો છાંયો',
+      autonomy: 'બેટરી બેકઅપ ઓછું',
+    },
+    settings: {
+      title: 'સેટિંગ્સ',
+      open: 'સાઇટ સેટિંગ્સ',
+      back: 'ડેશબોર્ડ પર પાછા',
+      thresholds: 'એલર્ટ મર્યાદાઓ',
+      cooldown: 'રિમાઇન્ડર અંતરાલ (સેકન્ડ)',
+      pollInterval: 'પોલિંગ અંતરાલ (સેકન્ડ)',
+      offlineAfter: 'ઓફલાઇન એલર્ટ આટલા સમય પછી (સેકન્ડ)',
+      recipients: 'પ્રાપ્તકર્તાઓ',
+      name: 'નામ',
+      language: 'ભાષા',
+      addRecipient: 'પ્રાપ્તકર્તા ઉમેરો',
+      remove: 'દૂર કરો',
+      save: 'ફેરફારો સાચવો',
+      saved: 'સેટિંગ્સ સાચવાઈ',
+      auditTrail: 'ફેરફારોનો ઇતિહાસ',
+      noAudit: 'હજુ સુધી કોઈ ફેરફાર નોંધાયો નથી',
+      by: 'દ્વારા',
+    },
+    reports: {
+      title: 'અહેવાલ',
+      open: 'ઊર્જા અહેવાલ',
+      back: 'ડેશબોર્ડ પર પાછા',
+      periods: { day: 'દૈનિક', week: 'સાપ્તાહિક', month: 'માસિક' },
+      period: 'સમયગાળો',
+      energy: 'ઉત્પન્ન ઊર્જા',
+      peakPower: 'મહત્તમ પાવર',
+      insolation: 'સૌર વિકિરણ',
+      performanceRatio: 'પ્રદર્શન ગુણોત્તર',
+      savings: 'ખર્ચ બચત',
+      co2Avoided: 'ટાળેલો CO₂',
+      total: 'કુલ',
+      noCapacity: 'પ્રદર્શન ગુણોત્તર જોવા માટે આ સાઇટની પેનલની રેટેડ ક્ષમતા સેટ કરો.',
+    },
+    exports: {
+      title: 'નિકાસ',
+      csv: 'ટેલિમેટ્રી (CSV)',
+      alertsCsv: 'એલર્ટ લોગ (CSV)',
+      xlsx: 'એક્સેલ વર્કબુક',
+      pdf: 'PDF અહેવાલ',
+      time: 'સમય',
+      opened: 'શરૂ',
+      resolved: 'નિરાકરણ',
+      alert: 'એલર્ટ',
+      severity: 'ગંભીરતા',
+      status: 'સ્થિતિ',
+      value: 'છેલ્લું મૂલ્ય',
+      threshold: 'મર્યાદા',
+      acknowledgedBy: 'સ્વીકારનાર',
+      resolvedBy: 'નિરાકરણ કરનાર',
+      statuses: { open: 'ખુલ્લું', acknowledged: 'સ્વીકૃત', resolved: 'નિરાકરણ થયું' },
+      telemetrySheet: 'ટેલિમેટ્રી',
+      alertsSheet: 'એલર્ટ',
+      reportTitle: 'સાઇટ અહેવાલ',
+      generated: 'તૈયાર કર્યું',
+      period: 'સમયગાળો',
+      summary: 'સારાંશ',
+      min: 'ન્યૂનતમ',
+      avg: 'સરેરાશ',
+      max: 'મહત્તમ',
+      alertLog: 'એલર્ટ લોગ',
+      noAlerts: 'આ સમયગાળામાં કોઈ એલર્ટ નથી',
+    },
+    fleet: {
+      title: 'બધી સાઇટ્સનો સારાંશ',
+      subtitle: 'તમને ઍક્સેસ છે તે બધી સાઇટ્સ. ડેશબોર્ડ ખોલવા માટે એક પસંદ કરો.',
+      map: 'સાઇટ નકશો',
+      noLocation: 'સ્થાન સેટ નથી',
+      status: 'સ્થિતિ',
+      states: { online: 'ઑનલાઇન', alerting: 'અલર્ટ', offline: 'ઑફલાઇન' },
+      todayEnergy: 'આજની ઊર્જા',
+      activeAlerts: 'સક્રિય અલર્ટ',
+      open: 'ખોલો',
+    },
+    control: {
+      title: 'નિયંત્રણ',
+      open: 'રિમોટ નિયંત્રણ',
+      back: 'ડેશબોર્ડ પર પાછા',
+      subtitle: 'આદેશો સાઇટના કંટ્રોલરને મોકલવામાં આવે છે. દરેક આદેશ પહેલા પુષ્ટિ પછી મોકલાય છે અને નીચેના લોગમાં નોંધાય છે.',
+      commands: {
+        shedLoad: 'લોડ ઘટાડો',
+        restoreLoad: 'લોડ પાછો જોડો',
+        setRelay: 'રિલે બદલો',
+        reboot: 'કંટ્રોલર રીબૂટ કરો',
+        setSampleRate: 'સેમ્પલ દર સેટ કરો',
+      },
+      relay: 'રિલે',
+      on: 'ચાલુ',
+      off: 'બંધ',
+      seconds: 'સેમ્પલ વચ્ચે સેકન્ડ',
+      send: 'મોકલો',
+      confirm: '{site} ને "{command}" મોકલવું છે? આનાથી સાઇટના સાધનો બદલાશે.',
+      automatic: 'સ્વચાલિત ક્રિયાઓ',
+      actionLine: '{rule} એલર્ટ આવે ત્યારે: {command}',
+      recoveryLine: 'સામાન્ય થયા પછી {command}',
+      log: 'આદેશ લોગ',
+      noCommands: 'હજી સુધી કોઈ આદેશ મોકલાયો નથી',
+      time: 'સમય',
+      command: 'આદેશ',
+      issuedBy: 'કોણે મોકલ્યો',
+      status: 'સ્થિતિ',
+      result: 'પરિણામ',
+      byRule: 'નિયમ: {rule}',
+      statuses: { pending: 'બાકી', sent: 'મોકલાયો', acknowledged: 'પુષ્ટિ થઈ', failed: 'નિષ્ફળ', expired: 'જવાબ નથી' },
+    },
+    app: {
+      offline: 'તમે ઑફલાઇન છો',
+      showingSaved: 'આ ઉપકરણ પર સાચવેલો છેલ્લો ડેટા બતાવી રહ્યા છીએ, જે {age} મળ્યો હતો.',
+      nothingSaved: 'આ ઉપકરણ પર હજુ સુધી કોઈ ડેટા સાચવાયો નથી.',
+      pushOn: 'ફોન અલર્ટ ચાલુ',
+      pushOff: 'ફોન અલર્ટ',
+      pushBlocked: 'આ ડેશબોર્ડ માટે સૂચનાઓ બ્લૉક છે. અલર્ટ મેળવવા માટે બ્રાઉઝર સેટિંગ્સમાં તેમને મંજૂરી આપો.',
+    },
+    notifications: {
+      welcome: '--- SUNकल्प માં આપનું સ્વાગત છે --- [{site}]',
+      severities: {
+        info: 'માહિતી',
+        warning: 'ચેતવણી',
+        critical: 'ગંભીર',
+      },
+      alert: '{severity} એલર્ટ!!! {message}',
+      escalation: 'એસ્કેલેટ કર્યું (સ્તર {level}, હજુ સ્વીકાર્યું નથી): {severity} એલર્ટ!!! {message}',
+      reminder: 'રિમાઇન્ડર: {severity} એલર્ટ!!! {message}',
+      recovery: 'ઉકેલાયું: {title} સામાન્ય થયું ({reading}), {time}. કોઈ કાર્યવાહીની જરૂર નથી.',
+      subjects: {
+        alert: '{severity} એલર્ટ',
+        escalation: '{severity} એલર્ટ (એસ્કેલેટ કર્યું)',
+        reminder: '{severity} એલર્ટ (રિમાઇન્ડર)',
+        recovery: 'સામાન્ય સ્થિતિ પુનઃસ્થાપિત',
+      },
+      recoveries: {
+        offline: 'ઉકેલાયું: સેન્સર બોર્ડમાંથી ડેટા ફરીથી આવી રહ્યો છે ({time}). કોઈ કાર્યવાહીની જરૂર નથી.',
+      },
+      rules: {
+        voltage: 'સિસ્ટમનું વોલ્ટેજ ખૂબ ઊંચું છે ({reading}, મર્યાદા {threshold}, સમય {time}). કૃપા કરીને ચાર્જ કંટ્રોલર તપાસો.',
+        lightIntensity: 'પેનલને પૂરતો પ્રકાશ મળતો નથી ({reading}, ઓછામાં ઓછું {threshold}, સમય {time}). કૃપા કરીને પેનલની આસપાસ કોઈ અવરોધ છે કે નહીં તે તપાસો.',
+        temperature: 'પેનલનું તાપમાન ખૂબ ઊંચું છે ({reading}, મર્યાદા {threshold}, સમય {time}). કૃપા કરીને સિસ્ટમની આસપાસ હવાની અવરજવર તપાસો.',
+        humidity: 'ભેજ ખૂબ વધારે છે ({reading}, મર્યાદા {threshold}, સમય {time}). કૃપા કરીને સિસ્ટમનું વાતાવરણ તપાસો.',
+        offline: '{time} થી સેન્સર બોર્ડમાંથી કોઈ ડેટા મળ્યો નથી. કૃપા કરીને તેનો પાવર સપ્લાય અને નેટવર્ક કનેક્શન તપાસો.',
+        soiling: 'ઉપલબ્ધ પ્રકાશના પ્રમાણમાં વીજ ઉત્પાદન ઓછું છે ({reading}, અપેક્ષિત આશરે {threshold}, {time} થી). પેનલ ગંદી હોઈ શકે અથવા કોઈ જોડાણ ખામીયુક્ત હોઈ શકે; કૃપા કરીને પેનલ સાફ કરો અને વાયરિંગ તપાસો.',
+        shading: 'સતત ઘણા સ્વચ્છ દિવસોમાં આશરે {time} વાગ્યે પ્રકાશ ઘટી જાય છે ({reading}, અપેક્ષિત આશરે {threshold}), જ્યારે બાકીનો દિવસ સામાન્ય રહે છે. કોઈ નવી વસ્તુ પેનલ પર છાંયો પાડી રહી હોઈ શકે; કૃપા કરીને આસપાસ તપાસો.',
+        autonomy: 'હાલના લોડ પર બેટરી આશરે {reading} માં ખલાસ થઈ જશે (એલર્ટ મર્યાદા {threshold}, સમય {time}). કૃપા કરીને લોડ ઘટાડો અથવા પેનલ તેને ચાર્જ કરે છે કે નહીં તે તપાસો.',
+      },
+    },
+  },
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (base, override) => Object.fromEntries(Object.keys({ ...base, ...override }).map((key) => [
+  key,
+  isPlainObject(base[key]) && isPlainObject(override[key]) ? merge(base[key], override[key]) : override[key] ?? base[key],
+]));
+
+const catalogs = new Map();
+
+// Catalog for a language, with untranslated keys filled in from English
+export const messagesFor = (language) => {
+  if (!catalogs.has(language)) {
+    catalogs.set(language, merge(translations[DEFAULT_LANGUAGE], translations[language] || {}));
+  }
+  return catalogs.get(language);
+};
+
+export const isLanguage = (code) => LANGUAGES.some((language) => language.code === code);
+
+// Replace {name} placeholders; unknown placeholders are left as they are
+export const formatMessage = (template, values = {}) => template.replace(
+  /\{(\w+)\}/g,
+  (match, key) => (values[key] === undefined ? match : String(values[key]))
+);
+
+export const localeOf = (language) => LANGUAGES.find(({ code }) => code === language)?.locale;
+
+export const formatTime = (timestamp, language, timezone) => new Date(timestamp).toLocaleString(localeOf(language), {
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone: timezone,
+});
+
+const withUnit = (value, channel) => {
+  const formatted = formatMetric(value, channel);
+  return formatted === undefined ? '-' : `${formatted}${channel?.unit ?? ''}`;
+};
+
+// Values an alert template can refer to. `alert` is { severity, metric, value, threshold }
+// as produced by the rule engine; `site` supplies the name, channels and timezone.
+const alertValues = (language, { site, rule, alert, at, level }) => {
+  const catalog = messagesFor(language);
+  const channel = channelFor([...(site.channels || DEFAULT_CHANNELS), ...BATTERY_CHANNELS], alert.metric);
+  return {
+    site: site.name,
+    severity: catalog.notifications.severities[alert.severity] || alert.severity,
+    title: catalog.alerts[rule.id] || rule.id,
+    reading: withUnit(alert.value, channel),
+    threshold: withUnit(alert.threshold, channel),
+    time: formatTime(at, language, site.timezone),
+    level,
+  };
+};
+
+// Text of an alert in one language. A rule's own `messages` ({ en, hi, ... }) wins over the
+// catalog entry for its id; its plain `message` is the last resort for custom rules.
+export const describeAlert = (language, details) => {
+  const { rule } = details;
+  const template = rule.messages?.[language]
+    ?? messagesFor(language).notifications.rules[rule.id]
+    ?? rule.messages?.[DEFAULT_LANGUAGE]
+    ?? rule.message
+    ?? rule.id;
+  return formatMessage(template, alertValues(language, details));
+};
+
+// Subject and body of a notification in one language.
+// `kind` is alert, escalation, reminder or recovery; `details` is { site, rule, alert, at, level }.
+export const renderNotification = (language, kind, details) => {
+  const { notifications } = messagesFor(language);
+  const values = { ...alertValues(language, details), message: describeAlert(language, details) };
+  // Some alerts, such as a device coming back online, have their own recovery wording
+  const template = (kind === 'recovery' && notifications.recoveries[details.rule.id]) || notifications[kind];
+  return {
+    subject: `[SUNकल्प] ${details.site.name}: ${formatMessage(notifications.subjects[kind], values)}`,
+    text: `${formatMessage(notifications.welcome, values)} ${formatMessage(template, values)}`,
+  };
+};
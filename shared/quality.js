@@ -0,0 +1,75 @@
+// Data-quality checks applied to every sample before it reaches the rules, the history
+// store or a chart. Channels (see channels.js) may declare:
+//
+//   min, max    physically possible range; readings outside it are rejected
+//   maxStep     largest believable change from the last good reading. A single jump beyond
+//               it is rejected as a spike; a second reading that confirms the new level is kept
+//   stuckAfter  ms a sensor may report exactly the same value before it is flagged as stuck
+//
+// A flagged metric is reported with its reason and its value becomes null, so it is neither
+// alerted on nor plotted as a zero.
+
+import { DEFAULT_CHANNELS, parseField } from './channels.js';
+
+export const QUALITY_ISSUES = ['missing', 'invalid', 'range', 'spike', 'stuck'];
+
+// Only compare against a last good reading this recent when looking for spikes
+const SPIKE_WINDOW = 60 * 60 * 1000;
+
+const isMissing = (raw) => raw === undefined || raw === null || String(raw).trim() === '';
+
+const outOfRange = (value, channel) => (channel.min !== undefined && value < channel.min)
+  || (channel.max !== undefined && value > channel.max);
+
+// Check one metric against its channel limits and the previous state for that metric
+const assessMetric = (raw, channel, previous, timestamp) => {
+  if (isMissing(raw)) return { issue: 'missing', state: previous };
+
+  const parsed = parseField(raw);
+  if (parsed === null) return { issue: 'invalid', state: previous };
+
+  const value = parsed * (channel.scale ?? 1);
+  if (outOfRange(value, channel)) return { issue: 'range', state: previous };
+
+  const jumped = channel.maxStep !== undefined
+    && previous.last !== undefined
+    && timestamp - previous.lastAt <= SPIKE_WINDOW
+    && Math.abs(value - previous.last) > channel.maxStep;
+  const confirmed = previous.pending !== undefined && Math.abs(value - previous.pending) <= channel.maxStep;
+  if (jumped && !confirmed) return { issue: 'spike', state: { ...previous, pending: value } };
+
+  const sameSince = value === previous.last ? previous.sameSince : timestamp;
+  const state = { last: value, lastAt: timestamp, sameSince };
+  if (channel.stuckAfter !== undefined && timestamp - sameSince >= channel.stuckAfter) {
+    return { issue: 'stuck', state };
+  }
+  return { value, state };
+};
+
+// Validate one raw sample. `state` is whatever the previous call returned; pass {} the first time.
+// Returns { reading: { timestamp, <metric>: value | null }, issues: { <metric>: reason }, state }.
+export const assessSample = (sample, channels = DEFAULT_CHANNELS, state = {}) => {
+  const reading = { timestamp: sample.timestamp };
+  const issues = {};
+  const nextState = {};
+
+  for (const channel of channels) {
+    const result = assessMetric(sample.fields[channel.field], channel, state[channel.metric] || {}, sample.timestamp);
+    reading[channel.metric] = result.value ?? null;
+    nextState[channel.metric] = result.state;
+    if (result.issue) issues[channel.metric] = result.issue;
+  }
+  return { reading, issues, state: nextState };
+};
+
+// Validate a series of samples, oldest first, into chart points { timestamp, ...metrics, issues? }
+export const assessSeries = (samples, channels = DEFAULT_CHANNELS) => {
+  let state = {};
+  return samples.map((sample) => {
+    const assessment = assessSample(sample, channels, state);
+    state = assessment.state;
+    return Object.keys(assessment.issues).length > 0
+      ? { ...assessment.reading, issues: assessment.issues }
+      : assessment.reading;
+  });
+};
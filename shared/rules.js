@@ -0,0 +1,214 @@
+// Declarative alert rules evaluated identically by the alert service and the dashboard.
+//
+// A rule looks like:
+//   {
+//     id: 'lightIntensity',              // also the translation key under `alerts`
+//     severity: 'warning',               // info | warning | critical
+//     when: <condition>,
+//     for: 5 * 60 * 1000,                // optional: must hold this long (ms) before firing
+//     hysteresis: 50,                    // optional: band the value must clear before the alert resets
+//     message: 'Text used in SMS',
+//   }
+//
+// Conditions:
+//   { metric: 'voltage', op: '>', value: 15 }        fixed threshold
+//   { metric: 'voltage', op: '>', limit: 'voltage' } threshold taken from the site's limits
+//   { metric: 'lightIntensity', op: '<', expected: 0.2, limit: 'lightIntensity' }
+//                                                     a fraction of what the site's learned profile
+//                                                     (see baseline.js) expects at this time of day;
+//                                                     `limit` or `value` apply until it is learned
+//   { hourBetween: [7, 17] }                          local hour of the sample, end exclusive
+//   { all: [...] } / { any: [...] } / { not: <condition> }
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Thresholds for sites that do not set their own; rules refer to them with `limit`
+export const DEFAULT_LIMITS = {
+  voltage: 15,          // High limit
+  lightIntensity: 500,  // Low limit (was Current)
+  temperature: 40,      // High limit
+  humidity: 80,         // High limit
+  autonomy: 6,          // Low limit, hours of battery left (sites with a battery)
+};
+
+export const DEFAULT_RULES = [
+  {
+    id: 'voltage',
+    severity: 'critical',
+    when: { metric: 'voltage', op: '>', limit: 'voltage' },
+    hysteresis: 0.5,
+    message: 'The system voltage is too high. Please check the charge controller.',
+  },
+  {
+    id: 'lightIntensity',
+    severity: 'warning',
+    when: {
+      all: [
+        // A fixed limit is wrong at dawn, dusk and under cloud, so once the site's profile is
+        // learned only light far below the usual level for the time of day counts
+        { metric: 'lightIntensity', op: '<', expected: 0.2, limit: 'lightIntensity' },
+        { hourBetween: [7, 17] },
+      ],
+    },
+    hysteresis: 50,
+    message: 'The panel is not receiving sufficient light. Please check for any obstruction around the panel.',
+  },
+  {
+    id: 'temperature',
+    severity: 'warning',
+    when: { metric: 'temperature', op: '>', limit: 'temperature' },
+    hysteresis: 2,
+    message: 'The panel temperature is too high. Please check ventilation around the system.',
+  },
+  {
+    id: 'humidity',
+    severity: 'warning',
+    when: { metric: 'humidity', op: '>', limit: 'humidity' },
+    hysteresis: 3,
+    message: 'The humidity levels are too high. Please check the system environment.',
+  },
+  {
+    // Battery sites only; the service derives `autonomy` from the battery model. A short load
+    // peak is not worth an alert, so it must stay low for a while.
+    id: 'autonomy',
+    severity: 'warning',
+    when: { metric: 'autonomy', op: '<', limit: 'autonomy' },
+    for: 15 * 60 * 1000,
+    hysteresis: 1,
+    message: 'The battery will run out soon at the current load. Please reduce the load or check charging.',
+  },
+];
+
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// While an alert is active its threshold is widened by the hysteresis band,
+// so a value hovering around the limit does not raise and clear on every sample.
+const widen = (op, threshold, band) => {
+  if (op === '<' || op === '<=') return threshold + band;
+  if (op === '>' || op === '>=') return threshold - band;
+  return threshold;
+};
+
+const localHour = (timestamp, timezone) => Number(
+  new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone }).format(timestamp)
+);
+
+const thresholdOf = (condition, reading, context) => {
+  if (condition.expected !== undefined) {
+    const expected = context.expected?.(condition.metric, reading.timestamp);
+    if (expected !== undefined) return expected * condition.expected;
+  }
+  return condition.limit !== undefined ? context.limits[condition.limit] : condition.value;
+};
+
+const test = (condition, reading, context) => {
+  if (condition.all) return condition.all.every((child) => test(child, reading, context));
+  if (condition.any) return condition.any.some((child) => test(child, reading, context));
+  if (condition.not) return !test(condition.not, reading, { ...context, band: 0 });
+
+  if (condition.hourBetween) {
+    const [from, to] = condition.hourBetween;
+    const hour = localHour(reading.timestamp, context.timezone);
+    return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+  }
+
+  const compare = COMPARATORS[condition.op];
+  if (!compare) throw new Error(`Unknown operator "${condition.op}" in rule condition`);
+
+  const value = reading[condition.metric];
+  const threshold = thresholdOf(condition, reading, context);
+  if (value === undefined || value === null || threshold === undefined) return false;
+
+  const band = condition.hysteresis ?? context.band;
+  return compare(value, context.active ? widen(condition.op, threshold, band) : threshold);
+};
+
+// First comparison in a condition tree, used to describe what an alert is about
+const primaryComparison = (condition) => {
+  if (condition.metric) return condition;
+  const children = condition.all || condition.any || [];
+  for (const child of children) {
+    const found = primaryComparison(child);
+    if (found) return found;
+  }
+  return undefined;
+};
+
+// Every metric a condition tree reads
+const metricsOf = (condition) => {
+  if (condition.metric) return [condition.metric];
+  if (condition.not) return metricsOf(condition.not);
+  return (condition.all || condition.any || []).flatMap(metricsOf);
+};
+
+const toAlert = (rule, reading, context, since) => {
+  const comparison = primaryComparison(rule.when);
+  return {
+    ruleId: rule.id,
+    severity: rule.severity || 'warning',
+    message: rule.message,
+    metric: comparison?.metric,
+    value: comparison ? reading[comparison.metric] : undefined,
+    threshold: comparison ? thresholdOf(comparison, reading, context) : undefined,
+    since,
+  };
+};
+
+// Sort alerts most severe first
+export const bySeverity = (a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity);
+
+// Evaluate every rule against one reading ({ timestamp, <metric>: value | null }).
+// `state` is whatever the previous call returned; pass {} the first time.
+// `expected` is an optional lookup (metric, timestamp) => value for `expected` thresholds.
+// Returns the new state plus the alerts that are active, newly raised and newly cleared.
+export const evaluateRules = (rules, reading, { limits = {}, state = {}, timezone = DEFAULT_TIMEZONE, expected } = {}) => {
+  const now = reading.timestamp;
+  const context = { limits, timezone, expected };
+  const nextState = {};
+  const result = { active: [], raised: [], cleared: [] };
+
+  for (const rule of rules) {
+    const previous = state[rule.id] || { active: false, pendingSince: null, since: null };
+
+    // A missing or rejected reading says nothing either way, so the rule keeps its state
+    if (metricsOf(rule.when).some((metric) => reading[metric] === undefined || reading[metric] === null)) {
+      nextState[rule.id] = previous;
+      if (previous.active) result.active.push(toAlert(rule, reading, context, previous.since));
+      continue;
+    }
+    const holds = test(rule.when, reading, {
+      ...context,
+      active: previous.active,
+      band: rule.hysteresis ?? 0,
+    });
+
+    if (!holds) {
+      nextState[rule.id] = { active: false, pendingSince: null, since: null };
+      if (previous.active) result.cleared.push(toAlert(rule, reading, context, previous.since));
+      continue;
+    }
+
+    const pendingSince = previous.pendingSince ?? now;
+    const active = previous.active || now - pendingSince >= (rule.for || 0);
+    const since = previous.active ? previous.since : now;
+    nextState[rule.id] = { active, pendingSince, since: active ? since : null };
+
+    if (active) {
+      const alert = toAlert(rule, reading, context, since);
+      result.active.push(alert);
+      if (!previous.active) result.raised.push(alert);
+    }
+  }
+
+  result.active.sort(bySeverity);
+  return { state: nextState, ...result };
+};
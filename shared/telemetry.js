@@ -0,0 +1,48 @@
+// Source-agnostic telemetry samples shared by the alert service and the dashboard.
+// A sample is { timestamp, fields } where `fields` holds the raw values keyed by
+// the name the sensor board reports them under (field1..field8 on ThingSpeak).
+
+export const THINGSPEAK_API = 'https://api.thingspeak.com';
+
+// Keys that carry the sample time in ThingSpeak feeds, MQTT payloads and replay files
+const TIME_KEYS = ['created_at', 'timestamp', 'time'];
+const IGNORED_KEYS = ['entry_id'];
+
+// Turn a flat record (ThingSpeak feed entry, MQTT payload, CSV row) into a sample
+export const toSample = (record, receivedAt = Date.now()) => {
+  const timeKey = TIME_KEYS.find((key) => record[key] !== undefined && record[key] !== '');
+  const parsed = timeKey ? new Date(record[timeKey]).getTime() : NaN;
+
+  const fields = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (TIME_KEYS.includes(key) || IGNORED_KEYS.includes(key)) continue;
+    if (value === undefined || value === null) continue;
+    fields[key] = value;
+  }
+
+  return {
+    timestamp: Number.isNaN(parsed) ? receivedAt : parsed,
+    fields,
+  };
+};
+
+// ThingSpeak expects "YYYY-MM-DD HH:NN:SS", read as UTC when no timezone is passed
+const thingSpeakDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 19).replace('T', ' ');
+
+// Build the feeds.json URL for a ThingSpeak channel. Pass `results` for the latest N
+// entries, or `start`/`end` (epoch ms) for a window, optionally averaged over `average` minutes.
+export const buildFeedsUrl = ({ channelId, apiKey, results, start, end, average }) => {
+  const params = new URLSearchParams();
+  if (start !== undefined) params.set('start', thingSpeakDate(start));
+  if (end !== undefined) params.set('end', thingSpeakDate(end));
+  if (average) params.set('average', String(average));
+  if (results !== undefined || start === undefined) params.set('results', String(results ?? 1));
+  if (apiKey) params.set('api_key', apiKey);
+  return `${THINGSPEAK_API}/channels/${encodeURIComponent(channelId)}/feeds.json?${params}`;
+};
+
+// Convert a ThingSpeak feeds.json response body into samples, oldest first
+export const samplesFromFeeds = (body) => {
+  if (!body || !Array.isArray(body.feeds)) return [];
+  return body.feeds.map((feed) => toSample(feed));
+};
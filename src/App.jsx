@@ -1,81 +1,28 @@
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useState, useCallback, useRef } from "react";
 import React from "react";
 import { GoogleOAuthProvider, GoogleLogin } from "@react-oauth/google";
-import { jwtDecode } from "jwt-decode";
 import {
   AreaChart,
   Area,
+  BarChart,
+  Bar,
   XAxis,
   YAxis,
   Tooltip,
   CartesianGrid,
   ResponsiveContainer,
+  Brush,
+  ReferenceLine,
 } from "recharts";
 
 import logo from "./assets/logo.jpeg";
-
-/* ===================== TRANSLATIONS ===================== */
-
-const translations = {
-  en: {
-    selectLanguage: "Select Language",
-    signIn: "Please sign in to continue",
-    welcomeBack: "Welcome back",
-    signOut: "Sign Out",
-    connectGrid: "Connect to Grid",
-    channelId: "Channel ID",
-    readApiKey: "Read API Key",
-    launchDashboard: "Launch Dashboard",
-    overview: "Overview",
-    realtime: "Real-time telemetry from microgrid sensors.",
-    lastSynced: "Last synced",
-    voltage: "Voltage",
-    current: "Current", // Kept for legacy
-    humidity: "Humidity",
-    lightIntensity: "Light Intensity",
-    panelTemperature: "Panel Temperature",
-    temperature: "Temperature",
-    powerOutput: "Power Output",
-    systemAlert: "SYSTEM ALERT",
-    systemOnline: "System Online",
-    disconnect: "Disconnect",
-    alerts: {
-      voltage: "High Voltage",
-      humidity: "High Humidity",
-      temperature: "High Temperature",
-      lightIntensity: "Low Light Intensity"
-    }
-  },
-  hi: {
-    selectLanguage: "भाषा चुनें",
-    signIn: "जारी रखने के लिए साइन इन करें",
-    welcomeBack: "स्वागत है",
-    signOut: "साइन आउट",
-    connectGrid: "ग्रिड से कनेक्ट करें",
-    channelId: "चैनल आईडी",
-    readApiKey: "रीड एपीआई की",
-    launchDashboard: "डैशबोर्ड शुरू करें",
-    overview: "सारांश",
-    realtime: "माइक्रोग्रिड सेंसर से रियल-टाइम डेटा।",
-    lastSynced: "अंतिम अपडेट",
-    voltage: "वोल्टेज",
-    current: "करंट", // Kept for legacy
-    humidity: "आर्द्रता",
-    lightIntensity: "प्रकाश तीव्रता",
-    panelTemperature: "पैनल तापमान",
-    temperature: "तापमान",
-    powerOutput: "पावर आउटपुट",
-    systemAlert: "सिस्टम चेतावनी",
-    systemOnline: "सिस्टम ऑनलाइन",
-    disconnect: "डिस्कनेक्ट करें",
-    alerts: {
-      voltage: "उच्च वोल्टेज",
-      humidity: "उच्च आर्द्रता",
-      temperature: "उच्च तापमान",
-      lightIntensity: "कम प्रकाश तीव्रता"
-    }
-  }
-};
+import { BATTERY_CHANNELS, DEFAULT_CHANNELS, normalizeChannels, channelFor, formatMetric } from "../shared/channels.js";
+import { DEFAULT_LIMITS, DEFAULT_RULES, bySeverity, evaluateRules } from "../shared/rules.js";
+import { expectedFrom } from "../shared/baseline.js";
+import { LANGUAGES, isLanguage, localeOf, messagesFor, describeAlert, formatMessage } from "../shared/i18n.js";
+import { COMMANDS, COMMAND_NAMES } from "../shared/commands.js";
+import { TILE_URL, apiFetch, openEvents } from "./api.js";
+import { currentSubscription, forgetDevice, pushSupported, subscribePush } from "./pwa.js";
 
 /* ===================== ICONS ===================== */
 
@@ -106,14 +53,102 @@ const Icons = {
   )
 };
 
-/* ===================== THRESHOLDS ===================== */
-const LIMITS = {
-  voltage: 15,
-  lightIntensity: 500,
-  temperature: 40,
-  humidity: 80
+/* ===================== CHANNELS ===================== */
+// Each site brings its own channel schema from /api/sites; this one applies until it arrives
+const CHANNELS = normalizeChannels(DEFAULT_CHANNELS);
+// Metrics a site's values are formatted with. Battery estimates come from the service's
+// status, not the feed, but format the same way.
+const metricsOf = (site) => [...(site?.channels || CHANNELS), ...BATTERY_CHANNELS];
+const unitOf = (metrics, metric) => channelFor(metrics, metric)?.unit;
+const display = (metrics, value, metric) => formatMetric(value, channelFor(metrics, metric));
+
+// Card and chart styles of the default metrics; the temperature card is the board's own
+// sensor, humidity has no chart, and other metrics get the neutral style
+const METRIC_STYLES = {
+  voltage: { icon: Icons.Zap, card: { bg: "bg-red-50", text: "text-red-500" }, chart: { hex: "#ef4444", bg: "bg-red-50" } },
+  lightIntensity: { icon: Icons.Activity, card: { bg: "bg-blue-50", text: "text-blue-500" }, chart: { hex: "#3b82f6", bg: "bg-blue-50" } },
+  humidity: { icon: Icons.Droplet, card: { bg: "bg-emerald-50", text: "text-emerald-500" }, chart: null },
+  temperature: {
+    icon: Icons.Thermometer,
+    card: { bg: "bg-orange-50", text: "text-orange-500" },
+    subtext: "Internal Sensor",
+    chart: { hex: "#10b981", bg: "bg-orange-50" },
+    chartTitle: "panelTemperature",
+  },
+  loadPower: { icon: Icons.Sun, card: { bg: "bg-purple-50", text: "text-purple-500" }, chart: { hex: "#a855f7", bg: "bg-purple-50" } },
+};
+const OTHER_METRIC = { icon: Icons.Activity, card: { bg: "bg-slate-50", text: "text-slate-500" }, chart: { hex: "#64748b", bg: "bg-slate-50" } };
+const styleOf = (metric) => METRIC_STYLES[metric] || OTHER_METRIC;
+
+// Stat grid columns on wide screens for a number of cards
+const STAT_COLUMNS = ["lg:grid-cols-1", "lg:grid-cols-1", "lg:grid-cols-2", "lg:grid-cols-3", "lg:grid-cols-4", "lg:grid-cols-5", "lg:grid-cols-6"];
+
+// State of charge, charging or discharging and equivalent full cycles under the autonomy card
+const batterySummary = (battery, metrics, t) => [
+  !(battery.load > 0) && t.battery.noLoad,
+  `${t.batterySoc} ${display(metrics, battery.soc, "soc")}${unitOf(metrics, "soc")}`,
+  battery.phase && t.battery.phases[battery.phase],
+  formatMessage(t.battery.cycles, { count: battery.cycles.toFixed(1) }),
+].filter(Boolean).join(" · ");
+
+/* ===================== TIME RANGES ===================== */
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// `average` is ThingSpeak's averaging window in minutes, keeping each range to a few hundred points
+const RANGES = [
+  { id: "1h", span: HOUR, average: null },
+  { id: "24h", span: DAY, average: 10 },
+  { id: "7d", span: 7 * DAY, average: 60 },
+  { id: "30d", span: 30 * DAY, average: 240 },
+];
+
+const averageFor = (span) => {
+  if (span <= 2 * HOUR) return null;
+  if (span <= 2 * DAY) return 10;
+  if (span <= 14 * DAY) return 60;
+  if (span <= 60 * DAY) return 240;
+  return 1440;
+};
+
+// Start, end and averaging window of the selected range, or null while a custom range is invalid
+const resolveRange = (range, customRange) => {
+  if (range === "custom") {
+    const start = new Date(customRange.from).getTime();
+    const end = new Date(customRange.to).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end) || start >= end) return null;
+    return { start, end, average: averageFor(end - start) };
+  }
+  const preset = RANGES.find(({ id }) => id === range);
+  const end = Date.now();
+  return { start: end - preset.span, end, average: preset.average };
+};
+
+// Axis labels include the date once a chart spans more than a day
+const formatTick = (timestamp, span) => new Date(timestamp).toLocaleString([], span > DAY
+  ? { day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit" }
+  : { hour: "2-digit", minute: "2-digit" });
+
+const formatFull = (timestamp) => new Date(timestamp).toLocaleString([], {
+  day: "2-digit", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit",
+});
+
+// datetime-local inputs work in local time without a timezone suffix
+const toInputValue = (timestamp) => {
+  const date = new Date(timestamp);
+  return new Date(timestamp - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// "5 minutes ago" in the dashboard language
+const AGE_UNITS = [["day", DAY], ["hour", HOUR], ["minute", 60000], ["second", 1000]];
+const formatAge = (timestamp, now, language) => {
+  const age = now - timestamp;
+  const [unit, size] = AGE_UNITS.find(([, ms]) => age >= ms) || AGE_UNITS.at(-1);
+  return new Intl.RelativeTimeFormat(localeOf(language), { numeric: "auto" }).format(-Math.floor(age / size), unit);
 };
 
+const formatPercent = (share) => `${(share * 100).toFixed(1)}%`;
+
 /* ===================== UI COMPONENTS ===================== */
 
 // eslint-disable-next-line no-unused-vars
@@ -140,7 +175,31 @@ const StatCard = ({ title, value, unit, icon: Icon, color, subtext }) => (
   </div>
 );
 
-const ChartBox = ({ title, data, dataKey, color, unit }) => {
+// Flagged samples are drawn as markers; too many would hide the series itself
+const MAX_QUALITY_MARKERS = 200;
+
+// Expected power from the forecast at each history point, interpolated between forecast points
+// so the chart keeps the history's points and stays in step with the other charts
+const withExpected = (history, points) => {
+  if (!points || points.length < 2) return history;
+  let next = 1;
+  return history.map((point) => {
+    while (next < points.length - 1 && points[next].timestamp < point.timestamp) next += 1;
+    const before = points[next - 1];
+    const after = points[next];
+    if (point.timestamp < before.timestamp || point.timestamp > after.timestamp) return point;
+    const share = (point.timestamp - before.timestamp) / (after.timestamp - before.timestamp);
+    return { ...point, expected: before.expected + share * (after.expected - before.expected) };
+  });
+};
+
+// `expected` names a dashed series drawn from the points' `expected` values; `note` sits in the header
+const ChartBox = ({ title, data, dataKey, metrics, color, t, expected, note }) => {
+  const span = data.length > 1 ? data[data.length - 1].timestamp - data[0].timestamp : 0;
+  // Missing readings already show as gaps; only rejected ones get a marker
+  const flagged = data.filter((point) => point.issues?.[dataKey] && point.issues[dataKey] !== "missing");
+  const reasons = [...new Set(flagged.map((point) => t.qualityIssues[point.issues[dataKey]]))];
+
   return (
     <div className="bg-white border border-slate-100 rounded-2xl p-6 shadow-sm hover:shadow-lg transition-all h-full min-h-[320px]">
       <div className="flex justify-between items-center mb-6">
@@ -148,48 +207,837 @@ const ChartBox = ({ title, data, dataKey, color, unit }) => {
           <span className={`w-2 h-2 rounded-full ${color.bg.replace('/10', '')}`}></span>
           {title}
         </h3>
+        {note && <span className="text-xs font-semibold text-slate-500">{note}</span>}
+        {flagged.length > 0 && (
+          <span className="text-xs font-semibold text-red-500 bg-red-50 px-2 py-1 rounded-full">
+            {formatMessage(t.flaggedSamples, { count: flagged.length })} ({reasons.join(", ")})
+          </span>
+        )}
       </div>
 
-      <div className="w-full h-[240px]"> 
-        <ResponsiveContainer width="100%" height="100%">
-          <AreaChart data={data}>
-            <defs>
-              <linearGradient id={`gradient-${dataKey}`} x1="0" y1="0" x2="0" y2="1">
-                <stop offset="5%" stopColor={color.hex} stopOpacity={0.15} />
-                <stop offset="95%" stopColor={color.hex} stopOpacity={0} />
-              </linearGradient>
-            </defs>
-            <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" vertical={false} />
-            <XAxis dataKey="time" hide />
-            <YAxis 
-              tick={{ fontSize: 12, fill: "#94a3b8" }} 
-              axisLine={false}
-              tickLine={false}
-              width={35}
-              domain={['auto', 'auto']}
-            />
-            <Tooltip
-              contentStyle={{
-                backgroundColor: "#ffffff",
-                borderColor: "#e2e8f0",
-                color: "#1e293b",
-                borderRadius: "12px",
-                boxShadow: "0 4px 6px -1px rgb(0 0 0 / 0.1)",
-              }}
-              itemStyle={{ color: color.hex, fontWeight: 600 }}
-              labelStyle={{ color: "#64748b", marginBottom: "5px" }}
-              formatter={(value) => [`${value} ${unit || ''}`, title]}
-            />
-            <Area
-              type="monotone"
-              dataKey={dataKey}
-              stroke={color.hex}
-              strokeWidth={3}
-              fill={`url(#gradient-${dataKey})`}
-              fillOpacity={1}
-            />
-          </AreaChart>
-        </ResponsiveContainer>
+      <div className="w-full h-[280px]"> 
+        {data.length === 0 ? (
+          <div className="h-full flex items-center justify-center text-sm text-slate-400 font-medium">{t.noData}</div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={data} syncId="history">
+              <defs>
+                <linearGradient id={`gradient-${dataKey}`} x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor={color.hex} stopOpacity={0.15} />
+                  <stop offset="95%" stopColor={color.hex} stopOpacity={0} />
+                </linearGradient>
+              </defs>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" vertical={false} />
+              <XAxis
+                dataKey="timestamp"
+                type="number"
+                scale="time"
+                domain={["dataMin", "dataMax"]}
+                tickFormatter={(value) => formatTick(value, span)}
+                tick={{ fontSize: 11, fill: "#94a3b8" }}
+                axisLine={false}
+                tickLine={false}
+                minTickGap={40}
+              />
+              <YAxis 
+                tick={{ fontSize: 12, fill: "#94a3b8" }} 
+                axisLine={false}
+                tickLine={false}
+                width={35}
+                domain={['auto', 'auto']}
+              />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: "#ffffff",
+                  borderColor: "#e2e8f0",
+                  color: "#1e293b",
+                  borderRadius: "12px",
+                  boxShadow: "0 4px 6px -1px rgb(0 0 0 / 0.1)",
+                }}
+                itemStyle={{ color: color.hex, fontWeight: 600 }}
+                labelStyle={{ color: "#64748b", marginBottom: "5px" }}
+                labelFormatter={formatFull}
+                formatter={(value, name) => [`${display(metrics, value, dataKey)} ${unitOf(metrics, dataKey) || ''}`, name]}
+              />
+              {flagged.slice(-MAX_QUALITY_MARKERS).map((point) => (
+                <ReferenceLine key={point.timestamp} x={point.timestamp} stroke="#f87171" strokeDasharray="2 4" />
+              ))}
+              {expected && (
+                <Area
+                  type="monotone"
+                  dataKey="expected"
+                  name={expected}
+                  stroke="#94a3b8"
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                  fill="none"
+                  connectNulls
+                />
+              )}
+              <Area
+                type="monotone"
+                dataKey={dataKey}
+                name={title}
+                stroke={color.hex}
+                strokeWidth={3}
+                fill={`url(#gradient-${dataKey})`}
+                fillOpacity={1}
+              />
+              <Brush
+                dataKey="timestamp"
+                height={22}
+                stroke={color.hex}
+                travellerWidth={8}
+                tickFormatter={(value) => formatTick(value, span)}
+              />
+            </AreaChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RangePicker = ({ range, onSelect, customRange, onCustomApply, t }) => {
+  const [from, setFrom] = useState(customRange.from);
+  const [to, setTo] = useState(customRange.to);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {[...RANGES.map(({ id }) => id), "custom"].map((id) => (
+        <button
+          key={id}
+          onClick={() => onSelect(id)}
+          className={`px-3 py-1.5 rounded-lg text-xs font-bold border transition-colors ${range === id ? "bg-blue-600 text-white border-blue-600" : "bg-white text-slate-600 border-slate-200 hover:bg-slate-100"}`}
+        >
+          {t.ranges[id]}
+        </button>
+      ))}
+
+      {range === "custom" && (
+        <form
+          onSubmit={(e) => { e.preventDefault(); onCustomApply({ from, to }); }}
+          className="flex flex-wrap items-center gap-2 text-xs font-semibold text-slate-500"
+        >
+          <label className="flex items-center gap-1">{t.from}
+            <input type="datetime-local" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="bg-white border border-slate-200 rounded-lg px-2 py-1 text-slate-700" />
+          </label>
+          <label className="flex items-center gap-1">{t.to}
+            <input type="datetime-local" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="bg-white border border-slate-200 rounded-lg px-2 py-1 text-slate-700" />
+          </label>
+          <button className="px-3 py-1.5 rounded-lg bg-slate-800 text-white font-bold">{t.apply}</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const EXPORTS = ["csv", "alertsCsv", "xlsx", "pdf"];
+
+const ExportMenu = ({ onExport, t }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((current) => !current)}
+        className="px-3 py-1.5 rounded-lg text-xs font-bold border bg-white text-slate-600 border-slate-200 hover:bg-slate-100 transition-colors"
+      >
+        {t.exports.title} ▾
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 z-20 w-48 bg-white border border-slate-100 rounded-xl shadow-lg py-1">
+          {EXPORTS.map((kind) => (
+            <button
+              key={kind}
+              onClick={() => { setOpen(false); onExport(kind); }}
+              className="block w-full text-left px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-50"
+            >
+              {t.exports[kind]}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Min, average and max of each of the site's metrics over the chart data
+const summarize = (points, channels) => channels.map(({ metric, label }) => {
+  const values = points.map((point) => point[metric]).filter((value) => typeof value === "number");
+  return {
+    metric,
+    label,
+    min: values.length ? Math.min(...values) : undefined,
+    avg: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : undefined,
+    max: values.length ? Math.max(...values) : undefined,
+  };
+});
+
+// Printed with the overview charts when a PDF report is requested; hidden on screen
+const PrintSummary = ({ report, history, site, t, language }) => {
+  const time = (timestamp) => new Date(timestamp).toLocaleString(localeOf(language), { dateStyle: "medium", timeStyle: "short", timeZone: site.timezone });
+  const cellClass = "border border-slate-200 px-2 py-1 text-left";
+  const metrics = metricsOf(site);
+
+  return (
+    <div className="hidden print:block mt-8 space-y-6 text-sm break-before-page">
+      <section>
+        <h3 className="font-bold text-slate-800 mb-2">{t.exports.summary}</h3>
+        <table className="w-full border-collapse">
+          <thead>
+            <tr>
+              <th className={cellClass}>{t.exports.period}: {time(report.from)} – {time(report.to)}</th>
+              <th className={cellClass}>{t.exports.min}</th>
+              <th className={cellClass}>{t.exports.avg}</th>
+              <th className={cellClass}>{t.exports.max}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summarize(history, site.channels).map(({ metric, label, min, avg, max }) => (
+              <tr key={metric}>
+                <td className={cellClass}>{t[label] || metric} ({unitOf(metrics, metric)})</td>
+                {[min, avg, max].map((value, i) => <td key={i} className={`${cellClass} font-mono`}>{display(metrics, value, metric) ?? "--"}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section>
+        <h3 className="font-bold text-slate-800 mb-2">{t.exports.alertLog}</h3>
+        {report.incidents.length === 0 ? (
+          <p className="text-slate-500">{t.exports.noAlerts}</p>
+        ) : (
+          <table className="w-full border-collapse">
+            <thead>
+              <tr>
+                {[t.exports.opened, t.exports.resolved, t.exports.alert, t.exports.severity, t.exports.status, t.exports.value].map((title) => (
+                  <th key={title} className={cellClass}>{title}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {report.incidents.map((incident) => (
+                <tr key={incident.id}>
+                  <td className={cellClass}>{time(incident.openedAt)}</td>
+                  <td className={cellClass}>{incident.resolvedAt ? time(incident.resolvedAt) : "--"}</td>
+                  <td className={cellClass}>{t.alerts[incident.ruleId] || incident.ruleId}</td>
+                  <td className={cellClass}>{t.notifications.severities[incident.severity] || incident.severity}</td>
+                  <td className={cellClass}>{t.exports.statuses[incident.status] || incident.status}</td>
+                  <td className={`${cellClass} font-mono`}>{display(metrics, incident.lastValue, incident.metric) ?? "--"} {unitOf(metrics, incident.metric)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+// Hand a downloaded file to the browser
+const saveFile = ({ blob, filename }) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Channels a recipient can be reached on, as the alert service names them
+const RECIPIENT_CHANNELS = ["sms", "whatsapp", "email", "telegram", "webhook"];
+
+// Settings are edited as strings and converted back when saving; times are shown in seconds
+const toForm = (settings) => ({
+  limits: Object.fromEntries(Object.entries(settings.limits).map(([metric, value]) => [metric, String(value)])),
+  cooldown: String(settings.cooldown / 1000),
+  pollInterval: String(settings.pollInterval / 1000),
+  offlineAfter: String(settings.offlineAfter / 1000),
+  recipients: settings.recipients,
+});
+
+const fromForm = (form) => ({
+  limits: Object.fromEntries(Object.entries(form.limits).map(([metric, value]) => [metric, Number(value)])),
+  cooldown: Math.round(Number(form.cooldown) * 1000),
+  pollInterval: Math.round(Number(form.pollInterval) * 1000),
+  offlineAfter: Math.round(Number(form.offlineAfter) * 1000),
+  recipients: form.recipients.map((recipient) => Object.fromEntries(Object.entries(recipient).filter(([, value]) => value !== ""))),
+});
+
+const describeChange = (field, { from, to }, t) => {
+  if (field === "limits") {
+    return Object.keys(to)
+      .filter((metric) => from[metric] !== to[metric])
+      .map((metric) => `${t[metric] || metric}: ${from[metric]} → ${to[metric]}`)
+      .join(", ");
+  }
+  if (field === "recipients") {
+    return `${t.settings.recipients}: ${from.map(({ name }) => name).join(", ")} → ${to.map(({ name }) => name).join(", ")}`;
+  }
+  return `${t.settings[field]}: ${from / 1000} → ${to / 1000}`;
+};
+
+const SettingsPanel = ({ site, api, t, onSaved }) => {
+  const [form, setForm] = useState(null);
+  const [audit, setAudit] = useState([]);
+  const [status, setStatus] = useState(null);
+  const base = `/api/sites/${encodeURIComponent(site.id)}`;
+  const metrics = metricsOf(site);
+
+  const load = useCallback(async () => {
+    try {
+      const [settings, entries] = await Promise.all([api(`${base}/settings`), api(`${base}/audit`)]);
+      setForm(toForm(settings));
+      setAudit(entries);
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  }, [api, base]);
+
+  useEffect(() => {
+    // eslint-disable-next-line
+    load();
+  }, [load]);
+
+  const setRecipient = (index, changes) => setForm((current) => ({
+    ...current,
+    recipients: current.recipients.map((recipient, i) => (i === index ? { ...recipient, ...changes } : recipient)),
+  }));
+
+  const toggleChannel = (index, channel) => {
+    const { channels = [] } = form.recipients[index];
+    setRecipient(index, { channels: channels.includes(channel) ? channels.filter((name) => name !== channel) : [...channels, channel] });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    try {
+      const saved = await api(`${base}/settings`, { method: "PUT", body: fromForm(form) });
+      setForm(toForm(saved));
+      setAudit(await api(`${base}/audit`));
+      setStatus({ message: t.settings.saved });
+      onSaved();
+    } catch (err) {
+      setStatus({ error: err.message });
+    }
+  };
+
+  const inputClass = "w-full bg-white border border-slate-200 rounded-lg px-3 py-2 text-sm text-slate-700";
+  const labelClass = "text-xs font-bold text-slate-500 uppercase tracking-wider";
+
+  if (!form) {
+    return <p className="text-sm text-slate-400 font-medium">{status?.error}</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <form onSubmit={handleSave} className="lg:col-span-2 bg-white border border-slate-100 rounded-2xl p-6 shadow-sm space-y-6">
+        <section>
+          <h3 className="font-bold text-slate-700 mb-3">{t.settings.thresholds}</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {Object.keys(form.limits).map((metric) => (
+              <label key={metric} className="space-y-1">
+                <span className={labelClass}>{t[metric] || metric}{unitOf(metrics, metric) && ` (${unitOf(metrics, metric)})`}</span>
+                <input type="number" step="any" required value={form.limits[metric]} onChange={(e) => setForm({ ...form, limits: { ...form.limits, [metric]: e.target.value } })} className={inputClass} />
+              </label>
+            ))}
+          </div>
+        </section>
+
+        <section className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="space-y-1">
+            <span className={labelClass}>{t.settings.cooldown}</span>
+            <input type="number" min="0" step="1" required value={form.cooldown} onChange={(e) => setForm({ ...form, cooldown: e.target.value })} className={inputClass} />
+          </label>
+          <label className="space-y-1">
+            <span className={labelClass}>{t.settings.pollInterval}</span>
+            <input type="number" min="10" step="1" required value={form.pollInterval} onChange={(e) => setForm({ ...form, pollInterval: e.target.value })} className={inputClass} />
+          </label>
+          <label className="space-y-1">
+            <span className={labelClass}>{t.settings.offlineAfter}</span>
+            <input type="number" min="60" step="1" required value={form.offlineAfter} onChange={(e) => setForm({ ...form, offlineAfter: e.target.value })} className={inputClass} />
+          </label>
+        </section>
+
+        <section>
+          <h3 className="font-bold text-slate-700 mb-3">{t.settings.recipients}</h3>
+          <div className="space-y-4">
+            {form.recipients.map((recipient, index) => (
+              <div key={index} className="border border-slate-100 rounded-xl p-4 space-y-3">
+                <div className="flex flex-wrap gap-3 items-end">
+                  <label className="space-y-1 flex-1 min-w-40">
+                    <span className={labelClass}>{t.settings.name}</span>
+                    <input required value={recipient.name || ""} onChange={(e) => setRecipient(index, { name: e.target.value })} className={inputClass} />
+                  </label>
+                  <label className="space-y-1">
+                    <span className={labelClass}>{t.settings.language}</span>
+                    <select value={recipient.language} onChange={(e) => setRecipient(index, { language: e.target.value })} className={inputClass}>
+                      {LANGUAGES.map(({ code, name }) => <option key={code} value={code}>{name}</option>)}
+                    </select>
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, recipients: form.recipients.filter((_, i) => i !== index) })}
+                    className="px-3 py-2 text-xs font-bold text-red-500 hover:bg-red-50 rounded-lg"
+                  >
+                    {t.settings.remove}
+                  </button>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {RECIPIENT_CHANNELS.map((channel) => (
+                    <label key={channel} className="flex items-center gap-2">
+                      <input type="checkbox" checked={(recipient.channels || []).includes(channel)} onChange={() => toggleChannel(index, channel)} />
+                      <span className="text-xs font-bold text-slate-500 uppercase w-20">{channel}</span>
+                      <input value={recipient[channel] || ""} onChange={(e) => setRecipient(index, { [channel]: e.target.value })} className={inputClass} />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => setForm({ ...form, recipients: [...form.recipients, { name: "", language: site.language || "en", channels: ["sms"] }] })}
+            className="mt-3 px-3 py-2 rounded-lg bg-slate-100 text-xs font-bold text-slate-600 hover:bg-slate-200"
+          >
+            {t.settings.addRecipient}
+          </button>
+        </section>
+
+        <div className="flex items-center gap-4">
+          <button className="px-5 py-2.5 rounded-xl bg-blue-600 text-white font-bold">{t.settings.save}</button>
+          {status?.message && <span className="text-sm font-semibold text-green-600">{status.message}</span>}
+          {status?.error && <span className="text-sm font-semibold text-red-600">{status.error}</span>}
+        </div>
+      </form>
+
+      <div className="bg-white border border-slate-100 rounded-2xl p-6 shadow-sm">
+        <h3 className="font-bold text-slate-700 mb-3">{t.settings.auditTrail}</h3>
+        {audit.length === 0 ? (
+          <p className="text-sm text-slate-400 font-medium">{t.settings.noAudit}</p>
+        ) : (
+          <ul className="space-y-3">
+            {audit.map((entry) => (
+              <li key={`${entry.at}-${entry.by}`} className="text-sm">
+                <p className="text-xs text-slate-400 font-semibold">{formatFull(entry.at)} · {t.settings.by} {entry.by}</p>
+                {Object.entries(entry.changes).map(([field, change]) => (
+                  <p key={field} className="text-slate-600">{describeChange(field, change, t)}</p>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const REPORT_PERIODS = ["day", "week", "month"];
+
+// Numbers in the dashboard language; small yields need more decimals to show at all
+const formatNumber = (value, language, options) => (value === null || value === undefined
+  ? "--"
+  : new Intl.NumberFormat(localeOf(language), options).format(value));
+const formatEnergy = (kWh, language) => formatNumber(kWh, language, { maximumFractionDigits: kWh < 10 ? 3 : 1 });
+
+// Period keys are calendar dates ("2026-10-19", or "2026-10" for months) in the site's timezone
+const formatPeriod = (key, period, language) => new Date(Date.parse(key.length === 7 ? `${key}-01` : key))
+  .toLocaleDateString(localeOf(language), period === "month"
+    ? { month: "short", year: "numeric", timeZone: "UTC" }
+    : { day: "numeric", month: "short", timeZone: "UTC" });
+
+const ReportsPanel = ({ site, api, t, language }) => {
+  const [period, setPeriod] = useState("day");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setReport(await api(`/api/sites/${encodeURIComponent(site.id)}/energy?period=${period}`));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api, site.id, period]);
+
+  useEffect(() => {
+    // eslint-disable-next-line
+    load();
+  }, [load]);
+
+  const currency = (value) => formatNumber(value, language, { style: "currency", currency: report.currency, maximumFractionDigits: 2 });
+  const ratio = (value) => (value === null ? "--" : formatPercent(value));
+  const chartData = report?.periods.map((entry) => ({ ...entry, label: formatPeriod(entry.period, period, language) })) || [];
+  const columns = report && [
+    [t.reports.energy, (entry) => `${formatEnergy(entry.energy, language)} kWh`],
+    [t.reports.peakPower, (entry) => `${formatNumber(entry.peakPower, language, { maximumFractionDigits: 1 })} W`],
+    [t.reports.insolation, (entry) => `${formatNumber(entry.insolation, language, { maximumFractionDigits: 2 })} kWh/m²`],
+    [t.reports.performanceRatio, (entry) => ratio(entry.performanceRatio)],
+    [t.reports.savings, (entry) => currency(entry.savings)],
+    [t.reports.co2Avoided, (entry) => `${formatNumber(entry.co2Avoided, language, { maximumFractionDigits: 2 })} kg`],
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        {REPORT_PERIODS.map((key) => (
+          <button
+            key={key}
+            onClick={() => setPeriod(key)}
+            className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-colors ${period === key ? "bg-blue-600 text-white" : "bg-slate-100 text-slate-600 hover:bg-slate-200"}`}
+          >
+            {t.reports.periods[key]}
+          </button>
+        ))}
+        {error && <span className="text-sm font-semibold text-red-600">{error}</span>}
+      </div>
+
+      {report && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            {columns.map(([title, format]) => (
+              <div key={title} className="bg-white border border-slate-100 rounded-2xl p-4 shadow-sm">
+                <h3 className="text-xs font-bold text-slate-500 uppercase tracking-wider">{title}</h3>
+                <p className="text-xl font-bold text-slate-800 mt-2">{format(report.totals)}</p>
+              </div>
+            ))}
+          </div>
+          {report.capacity === null && <p className="text-sm text-slate-400 font-medium">{t.reports.noCapacity}</p>}
+
+          <div className="bg-white border border-slate-100 rounded-2xl p-6 shadow-sm">
+            <h3 className="font-bold text-slate-700 mb-4">{t.reports.energy} (kWh)</h3>
+            <div className="h-64">
+              {chartData.length === 0 ? (
+                <div className="h-full flex items-center justify-center text-sm text-slate-400 font-medium">{t.noData}</div>
+              ) : (
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" vertical={false} />
+                    <XAxis dataKey="label" tick={{ fontSize: 11, fill: "#94a3b8" }} tickLine={false} axisLine={false} />
+                    <YAxis tick={{ fontSize: 11, fill: "#94a3b8" }} tickLine={false} axisLine={false} width={48} />
+                    <Tooltip formatter={(value) => [`${formatEnergy(value, language)} kWh`, t.reports.energy]} />
+                    <Bar dataKey="energy" fill="#a855f7" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-white border border-slate-100 rounded-2xl shadow-sm overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-bold text-slate-500 uppercase tracking-wider border-b border-slate-100">
+                  <th className="px-4 py-3">{t.reports.period}</th>
+                  {columns.map(([title]) => <th key={title} className="px-4 py-3">{title}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {[...chartData].reverse().map((entry) => (
+                  <tr key={entry.period} className="border-b border-slate-50 text-slate-600">
+                    <td className="px-4 py-2 font-semibold text-slate-700">{entry.label}</td>
+                    {columns.map(([title, format]) => <td key={title} className="px-4 py-2 font-mono">{format(entry)}</td>)}
+                  </tr>
+                ))}
+                <tr className="text-slate-800 font-bold">
+                  <td className="px-4 py-2">{t.reports.total}</td>
+                  {columns.map(([title, format]) => <td key={title} className="px-4 py-2 font-mono">{format(report.totals)}</td>)}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+/* ===================== REMOTE CONTROL ===================== */
+// Starting values for each command's inputs, taken from its parameter definitions
+const defaultParams = (name) => Object.fromEntries(Object.entries(COMMANDS[name].params)
+  .map(([key, { type, min }]) => [key, type === "boolean" ? true : min]));
+
+const COMMAND_STYLES = {
+  pending: "bg-slate-100 text-slate-600",
+  sent: "bg-blue-50 text-blue-700",
+  acknowledged: "bg-green-50 text-green-700",
+  failed: "bg-red-50 text-red-700",
+  expired: "bg-orange-50 text-orange-700",
+};
+
+const describeCommand = (name, params, t) => {
+  const { commands, relay, on, off } = t.control;
+  if (name === "setRelay") return `${commands.setRelay}: ${relay} ${params.relay} ${params.on ? on : off}`;
+  if (name === "setSampleRate") return `${commands.setSampleRate}: ${params.seconds} s`;
+  return commands[name] || name;
+};
+
+// Operators send commands to the site controller and follow them until the controller
+// acknowledges them. `commands` is the log, newest first, kept live by the event stream.
+const ControlPanel = ({ site, commands, api, t, onSent }) => {
+  const [params, setParams] = useState(() => Object.fromEntries(COMMAND_NAMES.map((name) => [name, defaultParams(name)])));
+  const [sending, setSending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const setParam = (name, key, value) => setParams((current) => ({ ...current, [name]: { ...current[name], [key]: value } }));
+
+  const handleSend = async (name) => {
+    const label = describeCommand(name, params[name], t);
+    if (!window.confirm(formatMessage(t.control.confirm, { command: label, site: site.name }))) return;
+    setSending(name);
+    setError(null);
+    try {
+      onSent(await api(`/api/sites/${encodeURIComponent(site.id)}/commands`, {
+        method: "POST",
+        body: { command: name, params: params[name], confirmed: true },
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(null);
+    }
+  };
+
+  const inputClass = "w-full bg-white border border-slate-200 rounded-lg px-3 py-2 text-sm text-slate-700";
+  const labelClass = "text-xs font-bold text-slate-500 uppercase tracking-wider";
+  const ruleName = (rule) => t[rule] || rule;
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-slate-500 font-medium">{t.control.subtitle}</p>
+      {error && <p className="text-sm font-semibold text-red-600">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+        {COMMAND_NAMES.map((name) => (
+          <div key={name} className="bg-white border border-slate-100 rounded-2xl p-5 shadow-sm flex flex-col gap-3">
+            <h3 className="font-bold text-slate-700">{t.control.commands[name]}</h3>
+            {Object.entries(COMMANDS[name].params).map(([key, { type, min, max }]) => (type === "boolean" ? (
+              <label key={key} className="flex items-center gap-2 text-sm text-slate-600 font-semibold">
+                <input type="checkbox" checked={params[name][key]} onChange={(e) => setParam(name, key, e.target.checked)} />
+                {params[name][key] ? t.control.on : t.control.off}
+              </label>
+            ) : (
+              <label key={key} className="space-y-1">
+                <span className={labelClass}>{t.control[key]}</span>
+                <input type="number" min={min} max={max} step="1" value={params[name][key]} onChange={(e) => setParam(name, key, Number(e.target.value))} className={inputClass} />
+              </label>
+            )))}
+            <button
+              onClick={() => handleSend(name)}
+              disabled={sending !== null}
+              className="mt-auto px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-bold disabled:opacity-50"
+            >
+              {t.control.send}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {site.control.actions.length > 0 && (
+        <div className="bg-white border border-slate-100 rounded-2xl p-6 shadow-sm">
+          <h3 className="font-bold text-slate-700 mb-3">{t.control.automatic}</h3>
+          <ul className="space-y-1 text-sm text-slate-600">
+            {site.control.actions.map((action) => (
+              <li key={`${action.rule}-${action.command}`}>
+                {formatMessage(t.control.actionLine, { rule: ruleName(action.rule), command: describeCommand(action.command, action.params, t) })}
+                {action.recovery && `, ${formatMessage(t.control.recoveryLine, { command: describeCommand(action.recovery.command, action.recovery.params, t) })}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-white border border-slate-100 rounded-2xl shadow-sm overflow-x-auto">
+        <h3 className="font-bold text-slate-700 px-6 pt-6 pb-3">{t.control.log}</h3>
+        {commands.length === 0 ? (
+          <p className="px-6 pb-6 text-sm text-slate-400 font-medium">{t.control.noCommands}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-bold text-slate-500 uppercase tracking-wider border-b border-slate-100">
+                <th className="px-4 py-3">{t.control.time}</th>
+                <th className="px-4 py-3">{t.control.command}</th>
+                <th className="px-4 py-3">{t.control.issuedBy}</th>
+                <th className="px-4 py-3">{t.control.status}</th>
+                <th className="px-4 py-3">{t.control.result}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {commands.map((command) => (
+                <tr key={command.id} className="border-b border-slate-50 text-slate-600">
+                  <td className="px-4 py-2 whitespace-nowrap">{formatFull(command.issuedAt)}</td>
+                  <td className="px-4 py-2">{describeCommand(command.command, command.params, t)}</td>
+                  <td className="px-4 py-2">{command.ruleId ? formatMessage(t.control.byRule, { rule: ruleName(command.ruleId) }) : command.issuedBy}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-bold ${COMMAND_STYLES[command.status]}`}>{t.control.statuses[command.status]}</span>
+                  </td>
+                  <td className="px-4 py-2 text-slate-500">{command.result}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/* ===================== FLEET ===================== */
+const TILE_SIZE = 256;
+const MAX_ZOOM = 13;
+const MAP_HEIGHT = 360;
+// Space kept free around the outermost markers, in pixels
+const MAP_PADDING = 48;
+
+// Web Mercator position of { lat, lon } in pixels at a zoom level, as slippy map tiles use
+const project = ({ lat, lon }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+};
+
+// Closest zoom that fits every location, and the pixel position of the view's top-left corner
+const fitView = (locations, width, height) => {
+  for (let zoom = MAX_ZOOM; ; zoom--) {
+    const points = locations.map((location) => project(location, zoom));
+    const xs = points.map(({ x }) => x);
+    const ys = points.map(({ y }) => y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    if (zoom === 1 || (maxX - minX <= width - 2 * MAP_PADDING && maxY - minY <= height - 2 * MAP_PADDING)) {
+      return { zoom, left: (minX + maxX - width) / 2, top: (minY + maxY - height) / 2 };
+    }
+  }
+};
+
+// Tiles covering the view; columns wrap around the antimeridian, rows past the poles are skipped
+const tilesFor = ({ zoom, left, top }, width, height) => {
+  const count = 2 ** zoom;
+  const tiles = [];
+  for (let y = Math.floor(top / TILE_SIZE); y * TILE_SIZE < top + height; y++) {
+    if (y < 0 || y >= count) continue;
+    for (let x = Math.floor(left / TILE_SIZE); x * TILE_SIZE < left + width; x++) {
+      const url = TILE_URL.replace("{z}", zoom).replace("{x}", ((x % count) + count) % count).replace("{y}", y);
+      tiles.push({ key: `${zoom}/${x}/${y}`, url, left: x * TILE_SIZE - left, top: y * TILE_SIZE - top });
+    }
+  }
+  return tiles;
+};
+
+const STATE_STYLES = {
+  online: { dot: "bg-green-500", badge: "bg-green-50 text-green-700 border-green-100" },
+  alerting: { dot: "bg-amber-500", badge: "bg-amber-50 text-amber-700 border-amber-100" },
+  offline: { dot: "bg-slate-400", badge: "bg-slate-100 text-slate-600 border-slate-200" },
+};
+// Sites with a critical incident stand out from those with warnings only
+const dotClass = (entry) => (entry.state === "alerting" && entry.alerts.severity === "critical" ? "bg-red-500" : STATE_STYLES[entry.state].dot);
+
+// Status-coloured markers over whatever tiles are available; without tiles the markers
+// still show where sites are relative to each other
+const SiteMap = ({ entries, onOpen, t }) => {
+  const container = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const view = width > 0 ? fitView(entries.map(({ location }) => location), width, MAP_HEIGHT) : null;
+
+  return (
+    <div ref={container} className="relative overflow-hidden rounded-2xl bg-slate-100 border border-slate-100" style={{ height: MAP_HEIGHT }}>
+      {view && tilesFor(view, width, MAP_HEIGHT).map((tile) => (
+        <img
+          key={tile.key}
+          src={tile.url}
+          alt=""
+          draggable={false}
+          onError={(e) => { e.currentTarget.style.visibility = "hidden"; }}
+          className="absolute select-none"
+          style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+        />
+      ))}
+      {view && entries.map((entry) => {
+        const { x, y } = project(entry.location, view.zoom);
+        return (
+          <button
+            key={entry.id}
+            onClick={() => onOpen(entry.id)}
+            title={`${entry.name} · ${t.fleet.states[entry.state]}`}
+            className="absolute -translate-x-1/2 -translate-y-2 flex flex-col items-center"
+            style={{ left: x - view.left, top: y - view.top }}
+          >
+            <span className={`w-4 h-4 rounded-full border-2 border-white shadow ${dotClass(entry)}`}></span>
+            <span className="mt-1 px-2 py-0.5 rounded bg-white/90 text-[10px] font-bold text-slate-700 shadow-sm whitespace-nowrap">{entry.name}</span>
+          </button>
+        );
+      })}
+      <div className="absolute bottom-3 left-3 flex gap-3 px-3 py-1.5 rounded-lg bg-white/90 shadow-sm text-[10px] font-bold text-slate-600">
+        {Object.entries(STATE_STYLES).map(([state, { dot }]) => (
+          <span key={state} className="flex items-center gap-1"><span className={`w-2 h-2 rounded-full ${dot}`}></span>{t.fleet.states[state]}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Every site the user can see: map, status, today's yield and open alerts, each a way into its dashboard
+const FleetPanel = ({ fleet, onOpen, t, language }) => {
+  const located = fleet.sites.filter(({ location }) => location);
+
+  return (
+    <div className="space-y-6">
+      {located.length > 0 && (
+        <div className="bg-white border border-slate-100 rounded-2xl p-6 shadow-sm">
+          <h3 className="font-bold text-slate-700 mb-4">{t.fleet.map}</h3>
+          <SiteMap entries={located} onOpen={onOpen} t={t} />
+        </div>
+      )}
+
+      <div className="bg-white border border-slate-100 rounded-2xl shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-bold text-slate-500 uppercase tracking-wider border-b border-slate-100">
+              <th className="px-4 py-3">{t.site}</th>
+              <th className="px-4 py-3">{t.fleet.status}</th>
+              <th className="px-4 py-3">{t.fleet.todayEnergy}</th>
+              <th className="px-4 py-3">{t.fleet.activeAlerts}</th>
+              <th className="px-4 py-3">{t.lastSeen}</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {fleet.sites.map((entry) => (
+              <tr key={entry.id} className="border-b border-slate-50 text-slate-600">
+                <td className="px-4 py-3">
+                  <p className="font-semibold text-slate-800">{entry.name}</p>
+                  <p className="text-xs text-slate-400">{entry.location ? entry.location.place || `${entry.location.lat}, ${entry.location.lon}` : t.fleet.noLocation}</p>
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`inline-flex items-center gap-1.5 px-2 py-0.5 rounded-full border text-xs font-bold ${STATE_STYLES[entry.state].badge}`}>
+                    <span className={`w-2 h-2 rounded-full ${dotClass(entry)}`}></span>
+                    {t.fleet.states[entry.state]}
+                  </span>
+                </td>
+                <td className="px-4 py-3 font-mono">{formatEnergy(entry.todayEnergy, language)} kWh</td>
+                <td className={`px-4 py-3 font-bold ${entry.alerts.severity === "critical" ? "text-red-600" : entry.alerts.total > 0 ? "text-amber-600" : "text-slate-400"}`}>
+                  {entry.alerts.total}
+                </td>
+                <td className="px-4 py-3">{entry.lastSeen === null ? t.never : formatAge(entry.lastSeen, fleet.checkedAt, language)}</td>
+                <td className="px-4 py-3 text-right">
+                  <button onClick={() => onOpen(entry.id)} className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-xs font-bold transition-colors">{t.fleet.open}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {fleet.sites.length === 0 && <p className="px-4 py-6 text-sm text-slate-500 font-medium">{t.noSites}</p>}
       </div>
     </div>
   );
@@ -200,22 +1048,89 @@ const ChartBox = ({ title, data, dataKey, color, unit }) => {
 function MicrogridDashboard() {
 
   /* ---------- LANGUAGE ---------- */
-  const [language, setLanguage] = useState(localStorage.getItem("language"));
-  const t = language ? translations[language] : null;
+  const [language, setLanguage] = useState(() => {
+    const saved = localStorage.getItem("language");
+    return isLanguage(saved) ? saved : null;
+  });
+  const t = language ? messagesFor(language) : null;
+
+  const chooseLanguage = (code) => {
+    localStorage.setItem("language", code);
+    setLanguage(code);
+  };
 
   /* ---------- AUTH ---------- */
   const [user, setUser] = useState(() => {
     const saved = localStorage.getItem("googleUser");
-    return saved ? JSON.parse(saved) : null;
+    // Profiles saved before the server issued sessions have no token; ask them to sign in again
+    return saved && localStorage.getItem("sessionToken") ? JSON.parse(saved) : null;
   });
+  // Session issued by the server after it verified the Google sign-in
+  const [sessionToken, setSessionToken] = useState(localStorage.getItem("sessionToken"));
+  const [loginError, setLoginError] = useState(null);
+
+  // Channel keys and raw Google tokens used to live in the browser; make sure none linger on shared laptops
+  useEffect(() => {
+    localStorage.removeItem("channelId");
+    localStorage.removeItem("apiKey");
+    localStorage.removeItem("googleCredential");
+  }, []);
 
   /* ---------- DATA ---------- */
   const [data, setData] = useState([]);
-  const [channelId, setChannelId] = useState(localStorage.getItem("channelId") || "");
-  const [apiKey, setApiKey] = useState(localStorage.getItem("apiKey") || "");
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState(localStorage.getItem("siteId") || "");
   const [isConnected, setIsConnected] = useState(false);
+  const site = sites.find(({ id }) => id === siteId);
   const [alerts, setAlerts] = useState([]);
   const [lastUpdate, setLastUpdate] = useState(null);
+  // "overview", "reports", "control" or "settings"
+  const [view, setView] = useState("overview");
+  // Remote command log for the control view, newest first
+  const [commands, setCommands] = useState([]);
+  // Heartbeat from the service: { lastSeen, online, offlineAfter, uptime: { "24h", "7d", "30d" } }
+  const [status, setStatus] = useState(null);
+  // Web Push for this browser and site: { publicKey, subscribed }; null when unsupported
+  const [push, setPush] = useState(null);
+  const [pushError, setPushError] = useState(null);
+
+  /* ---------- HISTORY ---------- */
+  const [history, setHistory] = useState([]);
+  // Generation forecast for the history range and tomorrow; null when the site cannot forecast
+  const [forecast, setForecast] = useState(null);
+  // Alert log and range of a PDF report while it is being printed
+  const [printReport, setPrintReport] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [range, setRange] = useState("1h");
+  const [customRange, setCustomRange] = useState(() => ({
+    from: toInputValue(Date.now() - DAY),
+    to: toInputValue(Date.now()),
+  }));
+
+  /* ---------- NETWORK ---------- */
+  // Offline, the service worker answers with the last responses it cached. `clock` ticks
+  // meanwhile so the age of the saved data stays current.
+  const [online, setOnline] = useState(navigator.onLine);
+  const [clock, setClock] = useState(() => Date.now());
+
+  useEffect(() => {
+    const update = () => {
+      setOnline(navigator.onLine);
+      setClock(Date.now());
+    };
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (online) return;
+    const i = setInterval(() => setClock(Date.now()), 60000);
+    return () => clearInterval(i);
+  }, [online]);
 
   /* ---------- NOTIFICATIONS ---------- */
   useEffect(() => {
@@ -224,109 +1139,377 @@ function MicrogridDashboard() {
     }
   }, []);
 
-  const notify = useCallback((title, body) => {
+  // Pushed alerts carry the same "<site>:<rule>" tag, so an alert never shows twice
+  const notify = useCallback((title, body, tag) => {
     if (Notification.permission === "granted") {
-      new Notification(title, { body, icon: logo });
+      new Notification(title, { body, icon: logo, tag });
     }
   }, []);
 
-  const checkEmergencies = useCallback((latest) => {
-    if (!latest) return;
-    const newAlerts = [];
+  // Rule engine state survives between polls so hysteresis and durations work
+  const ruleState = useRef({});
+  const lastEvaluated = useRef(0);
+  // Learned light and power profile from the status endpoint, for `expected` thresholds
+  const profile = useRef(null);
 
-    // Checked using your first block's logic (More comprehensive)
-    if (latest.voltage > LIMITS.voltage) {
-      newAlerts.push(`${t.alerts.voltage}: ${latest.voltage}V`);
-      notify(t.alerts.voltage, `${latest.voltage}V`);
-    }
-    if (latest.lightIntensity < LIMITS.lightIntensity) {
-      newAlerts.push(`${t.alerts.lightIntensity}: ${latest.lightIntensity} lux`);
-      notify(t.alerts.lightIntensity, `${latest.lightIntensity} lux`);
-    }
-    if (latest.temperature > LIMITS.temperature) {
-      newAlerts.push(`${t.alerts.temperature}: ${latest.temperature}°C`);
-      notify(t.alerts.temperature, `${latest.temperature}°C`);
-    }
-    if (latest.soc > LIMITS.humidity) {
-      newAlerts.push(`${t.alerts.humidity}: ${latest.soc}%`);
-      notify(t.alerts.humidity, `${latest.soc}%`);
+  const checkEmergencies = useCallback((samples) => {
+    let evaluation;
+
+    // Only feed samples the engine has not seen yet; each poll re-fetches the last 15
+    for (const sample of samples) {
+      if (sample.timestamp <= lastEvaluated.current) continue;
+      evaluation = evaluateRules(site?.rules || DEFAULT_RULES, sample, {
+        limits: site?.limits || DEFAULT_LIMITS,
+        state: ruleState.current,
+        timezone: site?.timezone,
+        expected: expectedFrom(profile.current, site?.timezone),
+      });
+      ruleState.current = evaluation.state;
+      lastEvaluated.current = sample.timestamp;
+
+      for (const alert of evaluation.raised) {
+        const rule = (site?.rules || DEFAULT_RULES).find(({ id }) => id === alert.ruleId);
+        notify(t.alerts[alert.ruleId] || alert.message, describeAlert(language, {
+          site: site || { name: "", channels: CHANNELS },
+          rule,
+          alert,
+          at: sample.timestamp,
+        }), `${site?.id}:${alert.ruleId}`);
+      }
     }
 
-    setAlerts(newAlerts);
-  }, [t, notify]);
+    if (evaluation) setAlerts(evaluation.active);
+  }, [t, language, notify, site]);
 
   /* ---------- HANDLERS ---------- */
-  const handleGoogleSuccess = (credentialResponse) => {
+  const handleGoogleSuccess = async (credentialResponse) => {
     try {
-      const decoded = jwtDecode(credentialResponse.credential);
-      setUser(decoded);
-      localStorage.setItem("googleUser", JSON.stringify(decoded));
+      const session = await apiFetch("/api/auth/google", {
+        method: "POST",
+        body: { credential: credentialResponse.credential },
+      });
+      setUser(session.user);
+      setSessionToken(session.token);
+      setLoginError(null);
+      localStorage.setItem("googleUser", JSON.stringify(session.user));
+      localStorage.setItem("sessionToken", session.token);
     } catch (error) {
       console.error("Login Failed", error);
+      setLoginError(error.message);
     }
   };
 
-  const handleSignOut = () => {
+  const handleSignOut = useCallback(() => {
     setUser(null);
+    setSessionToken(null);
     setIsConnected(false);
+    setSites([]);
+    setPush(null);
+    forgetDevice().catch((err) => console.error("Error clearing this device", err));
     localStorage.removeItem("googleUser");
-    localStorage.removeItem("channelId");
-    localStorage.removeItem("apiKey");
+    localStorage.removeItem("sessionToken");
+    localStorage.removeItem("siteId");
     // Do not clear language preference
-  };
+  }, []);
 
-  const handleConnect = (e) => {
-    e.preventDefault();
-    if (channelId && apiKey) {
-      localStorage.setItem("channelId", channelId);
-      localStorage.setItem("apiKey", apiKey);
-      setIsConnected(true);
+  // All dashboard traffic goes through the service; an expired session signs the user out
+  const api = useCallback(async (path, options) => {
+    try {
+      return await apiFetch(path, { ...options, token: sessionToken });
+    } catch (err) {
+      if (err.status === 401) handleSignOut();
+      throw err;
     }
+  }, [sessionToken, handleSignOut]);
+
+  // Drill into one site from the fleet overview
+  const openSite = (id) => {
+    localStorage.setItem("siteId", id);
+    setSiteId(id);
+    setIsConnected(true);
   };
 
   const handleDisconnect = () => {
     setIsConnected(false);
     setData([]);
+    setHistory([]);
+    setForecast(null);
     setAlerts([]);
+    setView("overview");
+    setCommands([]);
+    setStatus(null);
+    setPush(null);
+    ruleState.current = {};
+    lastEvaluated.current = 0;
+    profile.current = null;
   };
 
+  /* ---------- FETCH SITES ---------- */
+  const fetchSites = useCallback(async () => {
+    try {
+      const list = await api("/api/sites");
+      setSites(list);
+      setSiteId((current) => (list.some(({ id }) => id === current) ? current : list[0]?.id || ""));
+    } catch (err) {
+      console.error("Error fetching sites", err);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (user && sessionToken) {
+      // eslint-disable-next-line
+      fetchSites();
+    }
+  }, [user, sessionToken, fetchSites]);
+
+  /* ---------- FLEET ---------- */
+  // { sites: [{ id, name, location, state, alerts, todayEnergy, lastSeen, ... }], checkedAt }
+  const [fleet, setFleet] = useState(null);
+
+  const fetchFleet = useCallback(async () => {
+    try {
+      setFleet({ sites: await api("/api/fleet"), checkedAt: Date.now() });
+    } catch (err) {
+      console.error("Error fetching fleet overview", err);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (user && sessionToken && !isConnected) {
+      // eslint-disable-next-line
+      fetchFleet();
+      const i = setInterval(fetchFleet, 60000);
+      return () => clearInterval(i);
+    }
+  }, [user, sessionToken, isConnected, fetchFleet]);
+
   /* ---------- FETCH DATA ---------- */
   const fetchData = useCallback(async () => {
-    if (!channelId || !apiKey) return;
+    if (!siteId) return;
     try {
-      const url = `https://api.thingspeak.com/channels/${channelId}/feeds.json?api_key=${apiKey}&results=15`;
-      const res = await fetch(url);
-      const json = await res.json();
-
-      if (json.feeds) {
-        const formatted = json.feeds.map(f => ({
-          time: new Date(f.created_at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
-          voltage: Number(f.field1) || 0,
-          lightIntensity: Math.round(Number(f.field2) || 0), // Renamed from current
-          soc: Number(f.field3) || 0, // Used for Humidity (Param) & Panel Temp (Graph)
-          loadPower: Number(f.field4) || 0, // Used for Power Output
-          temperature: Number(f.field5) || 0,
-        }));
-
-        setData(formatted);
-        setLastUpdate(new Date().toLocaleTimeString());
-        checkEmergencies(formatted.at(-1));
-      }
+      const { points } = await api(`/api/sites/${encodeURIComponent(siteId)}/feed?results=15`);
+
+      setData(points);
+      setLastUpdate(new Date().toLocaleTimeString());
+      checkEmergencies(points);
     } catch (err) {
       console.error("Error fetching data", err);
     }
-  }, [channelId, apiKey, checkEmergencies]);
+  }, [siteId, api, checkEmergencies]);
+
+
+  /* ---------- REMOTE COMMANDS ---------- */
+  const fetchCommands = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      setCommands(await api(`/api/sites/${encodeURIComponent(siteId)}/commands`));
+    } catch (err) {
+      console.error("Error fetching commands", err);
+    }
+  }, [siteId, api]);
+
+  // A command that was sent or changed status, from this tab or the event stream
+  const receiveCommand = useCallback((command) => {
+    setCommands((current) => [command, ...current.filter(({ id }) => id !== command.id)].sort((a, b) => b.issuedAt - a.issuedAt));
+  }, []);
+
+  useEffect(() => {
+    if (isConnected && view === "control") {
+      // eslint-disable-next-line
+      fetchCommands();
+    }
+  }, [isConnected, view, fetchCommands]);
+
+  /* ---------- FETCH STATUS ---------- */
+  const fetchStatus = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      const next = await api(`/api/sites/${encodeURIComponent(siteId)}/status`);
+      profile.current = next.profile;
+      setStatus({ ...next, checkedAt: Date.now() });
+    } catch (err) {
+      console.error("Error fetching site status", err);
+    }
+  }, [siteId, api]);
 
   useEffect(() => {
     if (isConnected) {
       // eslint-disable-next-line
-      fetchData();
-      const i = setInterval(fetchData, 10000);
+      fetchStatus();
+      const i = setInterval(fetchStatus, 30000);
       return () => clearInterval(i);
     }
-  }, [isConnected, fetchData]);
+  }, [isConnected, fetchStatus]);
+
+  /* ---------- PUSH ---------- */
+  const fetchPush = useCallback(async () => {
+    if (!siteId || !pushSupported()) return;
+    try {
+      const subscription = await currentSubscription();
+      const params = subscription ? `?endpoint=${encodeURIComponent(subscription.endpoint)}` : "";
+      setPush(await api(`/api/sites/${encodeURIComponent(siteId)}/push${params}`));
+    } catch (err) {
+      console.error("Error fetching push status", err);
+    }
+  }, [siteId, api]);
+
+  useEffect(() => {
+    if (isConnected && online) {
+      // eslint-disable-next-line
+      fetchPush();
+    }
+  }, [isConnected, online, fetchPush]);
+
+  // Alerts for this site pushed to this browser even while the dashboard is closed
+  const togglePush = async () => {
+    const path = `/api/sites/${encodeURIComponent(siteId)}/push`;
+    setPushError(null);
+    try {
+      if (push.subscribed) {
+        const subscription = await currentSubscription();
+        setPush(await api(`${path}?endpoint=${encodeURIComponent(subscription?.endpoint || "")}`, { method: "DELETE" }));
+        return;
+      }
+      if (await Notification.requestPermission() !== "granted") {
+        setPushError(t.app.pushBlocked);
+        return;
+      }
+      const subscription = await subscribePush(push.publicKey);
+      setPush(await api(path, { method: "PUT", body: { subscription: subscription.toJSON(), language } }));
+    } catch (err) {
+      setPushError(err.message);
+    }
+  };
+
+  /* ---------- FETCH HISTORY ---------- */
+  const fetchHistory = useCallback(async () => {
+    if (!siteId) return;
+    const bounds = resolveRange(range, customRange);
+    if (!bounds) return;
+    const { start, end, average } = bounds;
+
+    try {
+      const params = new URLSearchParams({ from: String(start), to: String(end) });
+      if (average) params.set("average", String(average));
+      const { points } = await api(`/api/sites/${encodeURIComponent(siteId)}/feed?${params}`);
+      setHistory(points);
+    } catch (err) {
+      console.error("Error fetching history", err);
+    }
+  }, [siteId, api, range, customRange]);
+
+  // Reaches an hour past the range so live samples still get an expected value. Sites without
+  // a location or anything to calibrate from answer 409 and show no forecast.
+  const fetchForecast = useCallback(async () => {
+    if (!siteId) return;
+    const bounds = resolveRange(range, customRange);
+    if (!bounds) return;
+
+    try {
+      const params = new URLSearchParams({ from: String(bounds.start), to: String(bounds.end + HOUR) });
+      setForecast(await api(`/api/sites/${encodeURIComponent(siteId)}/forecast?${params}`));
+    } catch (err) {
+      setForecast(null);
+      if (err.status !== 409) console.error("Error fetching forecast", err);
+    }
+  }, [siteId, api, range, customRange]);
+
+  /* ---------- EXPORT ---------- */
+  // Spreadsheets come from the server's history store; the PDF report is the overview printed
+  // with a summary and alert log, which the browser can save as PDF
+  const handleExport = useCallback(async (kind) => {
+    const bounds = resolveRange(range, customRange);
+    if (!siteId || !bounds) return;
+    setExportError(null);
+
+    try {
+      if (kind === "pdf") {
+        const incidents = await api(`/api/incidents?site=${encodeURIComponent(siteId)}`);
+        setPrintReport({
+          from: bounds.start,
+          to: bounds.end,
+          incidents: incidents.filter((incident) => incident.openedAt <= bounds.end && (incident.resolvedAt ?? Infinity) >= bounds.start),
+        });
+        return;
+      }
+
+      const params = new URLSearchParams({
+        format: kind === "xlsx" ? "xlsx" : "csv",
+        dataset: kind === "alertsCsv" ? "alerts" : "telemetry",
+        from: String(bounds.start),
+        to: String(bounds.end),
+        language,
+      });
+      if (bounds.average) params.set("bucket", `${bounds.average}m`);
+      saveFile(await api(`/api/sites/${encodeURIComponent(siteId)}/export?${params}`, { download: true }));
+    } catch (err) {
+      setExportError(err.message);
+    }
+  }, [siteId, api, range, customRange, language]);
+
+  // Print once the report is on the page, and drop it again afterwards
+  useEffect(() => {
+    if (!printReport) return;
+    const done = () => setPrintReport(null);
+    window.addEventListener("afterprint", done);
+    window.print();
+    return () => window.removeEventListener("afterprint", done);
+  }, [printReport]);
+
+  // Longer preset ranges slide with the clock; the last hour follows the live stream below
+  // and a custom range is fetched once
+  useEffect(() => {
+    if (isConnected) {
+      // eslint-disable-next-line
+      fetchHistory();
+      fetchForecast();
+      if (range === "custom" || range === "1h") return;
+      const i = setInterval(fetchHistory, 60000);
+      return () => clearInterval(i);
+    }
+  }, [isConnected, range, fetchHistory, fetchForecast]);
+
+  /* ---------- LIVE UPDATES ---------- */
+  // New samples pushed by the server, oldest first
+  const receiveSamples = useCallback((points) => {
+    const append = (current, keep) => {
+      const newest = current.length > 0 ? current[current.length - 1].timestamp : 0;
+      return [...current, ...points.filter((point) => point.timestamp > newest)].filter(keep);
+    };
+    setData((current) => append(current, () => true).slice(-15));
+    if (range === "1h") setHistory((current) => append(current, (point) => point.timestamp >= Date.now() - HOUR));
+    setLastUpdate(new Date().toLocaleTimeString());
+    setStatus((current) => current && { ...current, online: true, lastSeen: points[points.length - 1].timestamp, checkedAt: Date.now() });
+    checkEmergencies(points);
+  }, [range, checkEmergencies]);
+
+  // The server is the only poller of the telemetry source; it pushes what it stores to every
+  // open tab. Each (re)connect starts from the latest stored samples in case some were missed.
+  // Offline there is no stream; the last cached samples are shown instead.
+  useEffect(() => {
+    if (!isConnected || !siteId || !sessionToken) return;
+    if (!online) {
+      // eslint-disable-next-line
+      fetchData();
+      return;
+    }
+    const stream = openEvents(`/api/sites/${encodeURIComponent(siteId)}/events`, sessionToken);
+    stream.onopen = () => fetchData();
+    stream.addEventListener("samples", (event) => receiveSamples(JSON.parse(event.data).points));
+    // Offline, soiling and shading incidents change what the status endpoint reports
+    stream.addEventListener("incident", () => fetchStatus());
+    stream.addEventListener("command", (event) => receiveCommand(JSON.parse(event.data)));
+    return () => stream.close();
+  }, [isConnected, siteId, sessionToken, online, fetchData, fetchStatus, receiveSamples, receiveCommand]);
 
   const latest = data.length > 0 ? data[data.length - 1] : {};
+  const offline = status !== null && !status.online;
+  const lastSeen = status && (status.lastSeen === null ? t.never : formatAge(status.lastSeen, status.checkedAt, language));
+  // Soiling and shading findings come from the server, which learns from the full history
+  const banner = [...(status?.findings || []), ...alerts].sort(bySeverity);
+  const battery = status?.battery;
+  const channels = site?.channels || CHANNELS;
+  const metrics = metricsOf(site);
 
   /* ---------- VIEW 0: LANGUAGE SELECTION ---------- */
   if (!language) {
@@ -334,9 +1517,10 @@ function MicrogridDashboard() {
       <div className="min-h-screen flex items-center justify-center bg-slate-50">
         <div className="bg-white p-10 rounded-3xl shadow-xl text-center space-y-6">
           <h1 className="text-2xl font-bold">Select Language / भाषा चुनें</h1>
-          <div className="flex gap-6 justify-center">
-            <button onClick={() => { localStorage.setItem("language", "en"); setLanguage("en"); }} className="px-6 py-3 bg-blue-600 text-white rounded-xl font-bold">English</button>
-            <button onClick={() => { localStorage.setItem("language", "hi"); setLanguage("hi"); }} className="px-6 py-3 bg-green-600 text-white rounded-xl font-bold">हिंदी</button>
+          <div className="flex flex-wrap gap-6 justify-center">
+            {LANGUAGES.map(({ code, name }) => (
+              <button key={code} onClick={() => chooseLanguage(code)} className="px-6 py-3 bg-blue-600 text-white rounded-xl font-bold">{name}</button>
+            ))}
           </div>
         </div>
       </div>
@@ -364,52 +1548,58 @@ function MicrogridDashboard() {
               width="250"
             />
           </div>
+          {loginError && <p className="text-sm text-red-500 font-medium mt-4">{loginError}</p>}
         </div>
       </div>
     );
   }
 
-  /* ---------- VIEW 2: CONFIG ---------- */
+  /* ---------- VIEW 2: FLEET ---------- */
   if (!isConnected) {
     return (
-      <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-6 relative">
-        <div className="z-10 w-full max-w-md bg-white/80 backdrop-blur-xl border border-white/50 p-8 rounded-3xl shadow-xl">
-          <div className="flex items-center gap-4 mb-8 pb-6 border-b border-slate-100">
-            <img src={user.picture} alt={user.name} className="w-12 h-12 rounded-full border-2 border-blue-100" />
-            <div>
-              <p className="text-sm text-slate-500 font-semibold">{t.welcomeBack},</p>
-              <p className="text-lg font-bold text-slate-800">{user.name}</p>
+      <div className="min-h-screen bg-slate-50 text-slate-800 font-sans">
+        <nav className="border-b border-slate-200 bg-white/80 backdrop-blur-lg sticky top-0 z-50">
+          <div className="max-w-7xl mx-auto px-6 h-16 flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <img src={logo} alt="SunKalp" className="w-10 h-10 object-contain rounded-full border border-slate-200" />
+              <span className="text-lg font-bold text-slate-800 tracking-tight hidden sm:block">Sunकल्प <span className="text-slate-400 font-medium">Dashboard</span></span>
             </div>
-            <button onClick={handleSignOut} className="ml-auto text-xs text-red-500 font-bold hover:underline">{t.signOut}</button>
-          </div>
-          
-          <h2 className="text-xl font-bold text-slate-700 mb-6">{t.connectGrid}</h2>
-          <form onSubmit={handleConnect} className="space-y-5">
-            <div className="space-y-2">
-              <label className="text-xs font-bold text-slate-500 uppercase tracking-wider ml-1">{t.channelId}</label>
-              <input
-                type="text"
-                placeholder="e.g. 123456"
-                className="w-full bg-slate-50 border border-slate-200 rounded-xl px-4 py-3 text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all font-medium"
-                value={channelId}
-                onChange={(e) => setChannelId(e.target.value)}
-              />
+            <div className="flex items-center gap-4">
+              <select
+                value={language}
+                onChange={(e) => chooseLanguage(e.target.value)}
+                aria-label={t.selectLanguage}
+                className="px-3 py-1.5 rounded-lg bg-slate-100 text-xs font-bold text-slate-600 hover:bg-slate-200 transition-colors border border-slate-200"
+              >
+                {LANGUAGES.map(({ code, name }) => <option key={code} value={code}>{name}</option>)}
+              </select>
+              <div className="flex items-center gap-3">
+                <img src={user.picture} alt={user.name} className="w-8 h-8 rounded-full border border-slate-200" />
+                <div className="hidden sm:block text-right">
+                  <p className="text-xs font-bold text-slate-700">{t.welcomeBack}, {user.name}</p>
+                  <button onClick={handleSignOut} className="text-[10px] text-slate-400 hover:text-red-500 transition font-semibold uppercase tracking-wider">{t.signOut}</button>
+                </div>
+              </div>
             </div>
-            <div className="space-y-2">
-              <label className="text-xs font-bold text-slate-500 uppercase tracking-wider ml-1">{t.readApiKey}</label>
-              <input
-                type="password"
-                placeholder="••••••••••••"
-                className="w-full bg-slate-50 border border-slate-200 rounded-xl px-4 py-3 text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all font-medium"
-                value={apiKey}
-                onChange={(e) => setApiKey(e.target.value)}
-              />
+          </div>
+        </nav>
+
+        {!online && (
+          <div className="bg-slate-100 border-b border-slate-200">
+            <div className="max-w-7xl mx-auto px-6 py-3 flex items-center gap-3 text-slate-700">
+              <Icons.Alert />
+              <span className="font-bold">{t.app.offline}</span>
             </div>
-            <button className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 rounded-xl shadow-lg shadow-blue-500/25 transition-all">
-              {t.launchDashboard}
-            </button>
-          </form>
-        </div>
+          </div>
+        )}
+
+        <main className="max-w-7xl mx-auto px-6 py-8">
+          <div className="mb-8">
+            <h2 className="text-2xl font-bold text-slate-800">{t.fleet.title}</h2>
+            <p className="text-slate-500 mt-1 font-medium">{t.fleet.subtitle}</p>
+          </div>
+          {fleet && <FleetPanel fleet={fleet} onOpen={openSite} t={t} language={language} />}
+        </main>
       </div>
     );
   }
@@ -419,7 +1609,7 @@ function MicrogridDashboard() {
     <div className="min-h-screen bg-slate-50 text-slate-800 font-sans selection:bg-blue-100">
       
       {/* Navbar */}
-      <nav className="border-b border-slate-200 bg-white/80 backdrop-blur-lg sticky top-0 z-50">
+      <nav className="border-b border-slate-200 bg-white/80 backdrop-blur-lg sticky top-0 z-50 print:hidden">
         <div className="max-w-7xl mx-auto px-6 h-16 flex items-center justify-between">
           <div className="flex items-center gap-3">
             <img src={logo} alt="SunKalp" className="w-10 h-10 object-contain rounded-full border border-slate-200" />
@@ -428,31 +1618,68 @@ function MicrogridDashboard() {
           
           <div className="flex items-center gap-4">
             {/* System Status Indicator */}
-            <div className="hidden md:flex items-center gap-2 px-3 py-1.5 bg-green-50 rounded-full border border-green-100">
-              <div className="w-2 h-2 rounded-full bg-green-500 animate-pulse"></div>
-              <span className="text-xs font-bold text-green-600 uppercase tracking-wide">{t.systemOnline}</span>
+            <div className={`hidden md:flex items-center gap-2 px-3 py-1.5 rounded-full border ${offline ? "bg-red-50 border-red-100" : "bg-green-50 border-green-100"}`}>
+              <div className={`w-2 h-2 rounded-full animate-pulse ${offline ? "bg-red-500" : "bg-green-500"}`}></div>
+              <span className={`text-xs font-bold uppercase tracking-wide ${offline ? "text-red-600" : "text-green-600"}`}>{offline ? t.systemOffline : t.systemOnline}</span>
+              {lastSeen && <span className="text-[10px] font-semibold text-slate-400">· {t.lastSeen} {lastSeen}</span>}
             </div>
 
             <div className="h-6 w-px bg-slate-200 mx-1"></div>
 
-            {/* --- NEW LANGUAGE TOGGLE BUTTON --- */}
-            <button 
-              onClick={() => {
-                const newLang = language === 'en' ? 'hi' : 'en';
-                setLanguage(newLang);
-                localStorage.setItem("language", newLang);
-              }}
+            {/* Language Picker */}
+            <select
+              value={language}
+              onChange={(e) => chooseLanguage(e.target.value)}
+              aria-label={t.selectLanguage}
               className="px-3 py-1.5 rounded-lg bg-slate-100 text-xs font-bold text-slate-600 hover:bg-slate-200 transition-colors border border-slate-200"
             >
-              {language === 'en' ? 'HI' : 'EN'}
+              {LANGUAGES.map(({ code, name }) => <option key={code} value={code}>{name}</option>)}
+            </select>
+
+            {/* Web Push for this site */}
+            {push?.publicKey && (
+              <button
+                onClick={togglePush}
+                title={pushError || undefined}
+                className={`hidden sm:block px-3 py-1.5 rounded-lg text-xs font-bold transition-colors border ${push.subscribed ? "bg-green-50 text-green-700 border-green-200 hover:bg-green-100" : "bg-slate-100 text-slate-600 border-slate-200 hover:bg-slate-200"}`}
+              >
+                {push.subscribed ? t.app.pushOn : t.app.pushOff}
+              </button>
+            )}
+
+            {/* Energy Reports */}
+            <button
+              onClick={() => setView((current) => (current === "reports" ? "overview" : "reports"))}
+              className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-colors border ${view === "reports" ? "bg-blue-600 text-white border-blue-600" : "bg-slate-100 text-slate-600 border-slate-200 hover:bg-slate-200"}`}
+            >
+              {view === "reports" ? t.reports.back : t.reports.title}
             </button>
-            {/* ---------------------------------- */}
+
+            {/* Remote Control (operators and admins, on sites with a command channel) */}
+            {site?.control && site.role !== "viewer" && (
+              <button
+                onClick={() => setView((current) => (current === "control" ? "overview" : "control"))}
+                className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-colors border ${view === "control" ? "bg-blue-600 text-white border-blue-600" : "bg-slate-100 text-slate-600 border-slate-200 hover:bg-slate-200"}`}
+              >
+                {view === "control" ? t.control.back : t.control.title}
+              </button>
+            )}
+
+            {/* Site Settings (admins only) */}
+            {site?.role === "admin" && (
+              <button
+                onClick={() => setView((current) => (current === "settings" ? "overview" : "settings"))}
+                className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-colors border ${view === "settings" ? "bg-blue-600 text-white border-blue-600" : "bg-slate-100 text-slate-600 border-slate-200 hover:bg-slate-200"}`}
+              >
+                {view === "settings" ? t.settings.back : t.settings.title}
+              </button>
+            )}
 
             {/* User Profile */}
             <div className="flex items-center gap-3">
               <img src={user.picture} alt="Profile" className="w-8 h-8 rounded-full border border-slate-200" />
               <div className="hidden sm:block text-right">
-                 <p className="text-xs font-bold text-slate-700">{user.name}</p>
+                 <p className="text-xs font-bold text-slate-700">{user.name}{site && <span className="ml-1 text-slate-400 font-semibold">· {t.roles[site.role]}</span>}</p>
                  <button onClick={handleSignOut} className="text-[10px] text-slate-400 hover:text-red-500 transition font-semibold uppercase tracking-wider">{t.signOut}</button>
               </div>
             </div>
@@ -468,14 +1695,50 @@ function MicrogridDashboard() {
         </div>
       </nav>
 
+      {/* No Network Banner */}
+      {!online && (
+        <div className="bg-slate-100 border-b border-slate-200 print:hidden">
+          <div className="max-w-7xl mx-auto px-6 py-3 flex items-center gap-3 text-slate-700">
+            <Icons.Alert />
+            <span className="font-bold">{t.app.offline}:</span>
+            <span className="font-medium">
+              {latest.timestamp ? formatMessage(t.app.showingSaved, { age: formatAge(latest.timestamp, Math.max(clock, latest.timestamp), language) }) : t.app.nothingSaved}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {/* Push Permission Error */}
+      {pushError && (
+        <div className="bg-amber-50 border-b border-amber-100 print:hidden">
+          <div className="max-w-7xl mx-auto px-6 py-2 text-sm font-semibold text-amber-700">{pushError}</div>
+        </div>
+      )}
+
+      {/* Device Offline Banner */}
+      {offline && (
+        <div className="bg-red-50 border-b border-red-100 print:hidden">
+          <div className="max-w-7xl mx-auto px-6 py-3 flex items-center gap-3 text-red-700">
+            <Icons.Alert />
+            <span className="font-bold">{t.systemOffline}:</span>
+            <span className="font-medium">{t.lastSeen} {lastSeen}</span>
+          </div>
+        </div>
+      )}
+
       {/* Emergency Alert Banner */}
-      {alerts.length > 0 && (
-        <div className="bg-red-50 border-b border-red-100">
+      {banner.length > 0 && (
+        <div className={`print:hidden ${banner[0].severity === "critical" ? "bg-red-50 border-b border-red-100" : "bg-amber-50 border-b border-amber-100"}`}>
           <div className="max-w-7xl mx-auto px-6 py-3">
-            <div className="flex items-center gap-3 text-red-700 animate-pulse">
+            <div className={`flex items-center gap-3 animate-pulse ${banner[0].severity === "critical" ? "text-red-700" : "text-amber-700"}`}>
               <Icons.Alert />
               <span className="font-bold">{t.systemAlert}:</span>
-              <span className="font-medium">{alerts.join(" | ")}</span>
+              <span className="font-medium">
+                {banner.map((alert) => {
+                  const value = display(metrics, alert.value, alert.metric);
+                  return `${t.alerts[alert.ruleId] || alert.message}${value === undefined ? "" : `: ${value}${unitOf(metrics, alert.metric)}`}`;
+                }).join(" | ")}
+              </span>
             </div>
           </div>
         </div>
@@ -485,28 +1748,90 @@ function MicrogridDashboard() {
       <main className="max-w-7xl mx-auto px-6 py-8">
         <div className="flex justify-between items-end mb-8">
           <div>
-            <h2 className="text-2xl font-bold text-slate-800">{t.overview}</h2>
-            <p className="text-slate-500 mt-1 font-medium">{t.realtime}</p>
+            <h2 className="text-2xl font-bold text-slate-800">{{ reports: t.reports.open, control: t.control.open, settings: t.settings.open }[view] || t.overview}{site && <span className="text-slate-400 font-medium"> · {site.name}</span>}</h2>
+            <p className="text-slate-500 mt-1 font-medium print:hidden">{t.realtime}</p>
+            {printReport && <p className="hidden print:block text-slate-500 mt-1 font-medium">{t.exports.reportTitle} · {t.exports.generated} {new Date().toLocaleString(localeOf(language))}</p>}
+          </div>
+          <div className="flex flex-col items-end gap-2">
+            {lastUpdate && <p className="text-xs text-slate-400 font-medium bg-white px-3 py-1 rounded-full shadow-sm border border-slate-100">{t.lastSynced}: <span className="text-slate-600 font-mono ml-1">{lastUpdate}</span></p>}
+            {status && (
+              <p className="text-xs text-slate-400 font-medium bg-white px-3 py-1 rounded-full shadow-sm border border-slate-100">
+                {t.uptime}:
+                {Object.entries(status.uptime).map(([window, share]) => (
+                  <span key={window} className="ml-2"><span className="text-slate-500">{t.ranges[window]}</span> <span className="text-slate-600 font-mono">{formatPercent(share)}</span></span>
+                ))}
+              </p>
+            )}
           </div>
-          {lastUpdate && <p className="text-xs text-slate-400 font-medium bg-white px-3 py-1 rounded-full shadow-sm border border-slate-100">{t.lastSynced}: <span className="text-slate-600 font-mono ml-1">{lastUpdate}</span></p>}
         </div>
 
-        {/* Stats Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mb-8">
-          <StatCard title={t.voltage} value={latest.voltage} unit="V" icon={Icons.Zap} color={{ bg: "bg-red-50", text: "text-red-500" }} />
-          <StatCard title={t.lightIntensity} value={latest.lightIntensity} unit="lux" icon={Icons.Activity} color={{ bg: "bg-blue-50", text: "text-blue-500" }} />
-          <StatCard title={t.humidity} value={latest.soc} unit="%" icon={Icons.Droplet} color={{ bg: "bg-emerald-50", text: "text-emerald-500" }} />
-          <StatCard title={t.temperature} value={latest.temperature} unit="°C" icon={Icons.Thermometer} color={{ bg: "bg-orange-50", text: "text-orange-500" }} subtext="Internal Sensor" />
-          <StatCard title={t.powerOutput} value={latest.loadPower} unit="mW" icon={Icons.Sun} color={{ bg: "bg-purple-50", text: "text-purple-500" }} />
-        </div>
+        {view === "settings" && site?.role === "admin" ? (
+          <SettingsPanel site={site} api={api} t={t} onSaved={fetchSites} />
+        ) : view === "reports" && site ? (
+          <ReportsPanel site={site} api={api} t={t} language={language} />
+        ) : view === "control" && site?.control && site.role !== "viewer" ? (
+          <ControlPanel site={site} commands={commands} api={api} t={t} onSent={receiveCommand} />
+        ) : (
+          <>
+            {/* Stats Grid */}
+            <div className={`grid grid-cols-1 md:grid-cols-2 ${STAT_COLUMNS[Math.min(6, channels.length + (site?.battery ? 1 : 0))]} gap-4 mb-8`}>
+              {channels.map(({ metric, label }) => (
+                <StatCard
+                  key={metric}
+                  title={t[label] || metric}
+                  value={display(metrics, latest[metric], metric)}
+                  unit={unitOf(metrics, metric)}
+                  icon={styleOf(metric).icon}
+                  color={styleOf(metric).card}
+                  subtext={styleOf(metric).subtext}
+                />
+              ))}
+              {site?.battery && (
+                <StatCard
+                  title={t.autonomy}
+                  value={battery?.load > 0 ? display(metrics, battery.autonomy, "autonomy") : undefined}
+                  unit={unitOf(metrics, "autonomy")}
+                  icon={Icons.Battery}
+                  color={{ bg: "bg-teal-50", text: "text-teal-500" }}
+                  subtext={battery && batterySummary(battery, metrics, t)}
+                />
+              )}
+            </div>
 
-        {/* Charts Grid */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          <ChartBox title={t.voltage} data={data} dataKey="voltage" color={{ hex: "#ef4444", bg: "bg-red-50" }} unit="V" />
-          <ChartBox title={t.lightIntensity} data={data} dataKey="lightIntensity" color={{ hex: "#3b82f6", bg: "bg-blue-50" }} unit="lux" />
-          <ChartBox title={t.panelTemperature} data={data} dataKey="temperature" color={{ hex: "#10b981", bg: "bg-orange-50" }} unit="°C" />
-          <ChartBox title={t.powerOutput} data={data} dataKey="loadPower" color={{ hex: "#a855f7", bg: "bg-purple-50" }} unit="mW" />
-        </div>
+            {/* History Range */}
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+              <h2 className="text-xl font-bold text-slate-800">{t.history}</h2>
+              <div className="flex flex-wrap items-center gap-2 print:hidden">
+                {exportError && <span className="text-xs font-semibold text-red-600">{exportError}</span>}
+                <RangePicker range={range} onSelect={setRange} customRange={customRange} onCustomApply={setCustomRange} t={t} />
+                <ExportMenu onExport={handleExport} t={t} />
+              </div>
+            </div>
+
+            {/* Charts Grid */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {channels.filter(({ metric }) => styleOf(metric).chart).map(({ metric, label }) => {
+                // Expected generation from the forecast is drawn over the power chart
+                const power = metric === "loadPower" && forecast;
+                return (
+                  <ChartBox
+                    key={metric}
+                    title={t[styleOf(metric).chartTitle || label] || metric}
+                    data={power ? withExpected(history, forecast.points) : history}
+                    dataKey={metric}
+                    metrics={metrics}
+                    color={styleOf(metric).chart}
+                    t={t}
+                    expected={power && t.forecast.expected}
+                    note={power && formatMessage(t.forecast.tomorrow, { energy: formatEnergy(forecast.tomorrow.energy, language) })}
+                  />
+                );
+              })}
+            </div>
+
+            {printReport && site && <PrintSummary report={printReport} history={history} site={site} t={t} language={language} />}
+          </>
+        )}
       </main>
     </div>
   );
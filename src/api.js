@@ -0,0 +1,38 @@
+// Thin client for the SUNकल्प service. The dashboard never talks to ThingSpeak
+// directly; every request carries the session token the server issued at sign-in, which
+// it signs with an HMAC and verifies on each request.
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:3000";
+
+// Fleet map tiles; by default the ones this service serves from MAP_TILES_DIR, so the map
+// works on networks without internet access
+export const TILE_URL = import.meta.env.VITE_MAP_TILES || `${API_URL}/tiles/{z}/{x}/{y}.png`;
+
+// Server-sent event stream; EventSource cannot send headers, so the session goes in the query
+export const openEvents = (path, token) => new EventSource(`${API_URL}${path}?token=${encodeURIComponent(token)}`);
+
+// With `download` the response is a file: { blob, filename } instead of parsed JSON
+export const apiFetch = async (path, { token, method = "GET", body, download = false } = {}) => {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  if (download && res.ok) {
+    // The exact name is in filename*, with a plain ASCII fallback in filename
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const exact = /filename\*=UTF-8''([^;]+)/.exec(disposition)?.[1];
+    const filename = (exact && decodeURIComponent(exact)) || /filename="([^"]+)"/.exec(disposition)?.[1] || "export";
+    return { blob: await res.blob(), filename };
+  }
+  const json = await res.json().catch(() => ({}));
+
+  if (!res.ok) {
+    throw Object.assign(new Error(json.error || res.statusText), { status: res.status });
+  }
+  return json;
+};
@@ -0,0 +1,41 @@
+// Installable-app support: the service worker in public/sw.js, which keeps the dashboard
+// usable offline, and the browser side of Web Push alerts.
+
+// Only production builds register the worker; in development it would serve stale modules
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.error("Service worker registration failed", err));
+  });
+};
+
+export const pushSupported = () => import.meta.env.PROD && "serviceWorker" in navigator && "PushManager" in window;
+
+// VAPID keys travel as base64url; the Push API wants the raw bytes
+const keyBytes = (key) => Uint8Array.from(atob(key.replace(/-/g, "+").replace(/_/g, "/")), (char) => char.charCodeAt(0));
+
+const sameKey = (buffer, key) => buffer && keyBytes(key).every((byte, i) => new Uint8Array(buffer)[i] === byte);
+
+// This browser's push subscription, or null
+export const currentSubscription = async () => {
+  if (!pushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+// Subscribe with the server's key, replacing a subscription made with an older key
+export const subscribePush = async (publicKey) => {
+  const registration = await navigator.serviceWorker.ready;
+  const existing = await registration.pushManager.getSubscription();
+  if (existing && sameKey(existing.options.applicationServerKey, publicKey)) return existing;
+  if (existing) await existing.unsubscribe();
+  return registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+};
+
+// On sign-out, drop the cached telemetry and stop pushes to this browser, so the next person
+// using a shared phone sees neither. The server forgets the subscription on its next push.
+export const forgetDevice = async () => {
+  navigator.serviceWorker?.controller?.postMessage({ type: "sign-out" });
+  const subscription = await currentSubscription();
+  await subscription?.unsubscribe();
+};